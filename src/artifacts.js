@@ -0,0 +1,71 @@
+import { mkdirSync, readdirSync, rmSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where browser runs keep their screenshots.
+ *
+ * Every check, booking or cancellation gets its own timestamped folder
+ * under ARTIFACTS_DIR (default: artifacts/ in the project root), so runs
+ * never overwrite each other's files. Folders older than
+ * ARTIFACT_RETENTION_DAYS (default 14) are pruned.
+ */
+class ArtifactStore {
+  constructor({
+    root = process.env.ARTIFACTS_DIR || join(__dirname, '..', 'artifacts'),
+    retentionDays = parseFloat(process.env.ARTIFACT_RETENTION_DAYS || '14')
+  } = {}) {
+    this.root = root;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Create the folder for a new run, e.g. "2026-02-24T21-00-05-123Z-book".
+   * Returns its path.
+   */
+  startRun(label) {
+    const stamp = new Date().toISOString().replace(/:/g, '-').replace('.', '-');
+    const dir = join(this.root, `${stamp}-${label}`);
+    mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  /**
+   * Delete run folders last written more than retentionDays ago.
+   * Returns how many were removed.
+   */
+  prune(now = new Date()) {
+    let entries;
+    try {
+      entries = readdirSync(this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = now.getTime() - this.retentionDays * DAY_MS;
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = join(this.root, entry.name);
+      if (statSync(dir).mtimeMs < cutoff) {
+        rmSync(dir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Pruned ${removed} artifact run(s) older than ${this.retentionDays} days`);
+    }
+    return removed;
+  }
+}
+
+export default ArtifactStore;
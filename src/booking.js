@@ -1,5 +1,9 @@
 import { firefox } from 'playwright';
 import dotenv from 'dotenv';
+import CourtDirectory from './courts.js';
+import FacilityClock from './clock.js';
+import ArtifactStore from './artifacts.js';
+import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -11,13 +15,29 @@ dotenv.config({ path: join(__dirname, '..', '.env') });
 const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
                      'July', 'August', 'September', 'October', 'November', 'December'];
 
+const SHORT_MONTH_NAMES = MONTH_NAMES.map(name => name.substring(0, 3));
+
+// Saved cookies/local storage so each run can skip the login flow
+const SESSION_FILE = process.env.COURTRESERVE_SESSION_FILE || join(__dirname, '..', 'courtreserve-session.json');
+
 const MAX_RETRIES = 2;
 
+// "Confirmation #48213", "Reservation No. 48213", "Confirmation Number: AB-1234"
+const CONFIRMATION_PATTERN = /\b(?:confirmation|reservation)\s*(?:#|no\.?|number|id)\s*:?\s*([A-Z0-9-]*\d[A-Z0-9-]*)/i;
+
 class CourtReserveBooker {
-  constructor() {
+  constructor({ portalUrl = process.env.COURTRESERVE_PORTAL_URL } = {}) {
+    this.portalUrl = portalUrl;
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.courts = new CourtDirectory();
+    this.clock = new FacilityClock();
+    this.artifacts = new ArtifactStore();
+    // Folder for the screenshots of the operation in progress
+    this.runDir = null;
+    // Set once a booking clicks a confirm button; from then on it must not be retried
+    this.confirmClicked = false;
   }
 
   async initialize() {
@@ -31,9 +51,13 @@ class CourtReserveBooker {
       slowMo: isHeadless ? 50 : 100,
     });
 
+    const hasSavedSession = existsSync(SESSION_FILE);
     this.context = await this.browser.newContext({
       viewport: { width: 1280, height: 720 },
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      // The scheduler builds its dates in the browser's zone, so match the facility
+      timezoneId: this.clock.timeZone,
+      storageState: hasSavedSession ? SESSION_FILE : undefined
     });
 
     this.page = await this.context.newPage();
@@ -42,14 +66,40 @@ class CourtReserveBooker {
     this.page.setDefaultTimeout(15000);
     this.page.setDefaultNavigationTimeout(30000);
 
+    await this.ensureLoggedIn();
+  }
+
+  isOpen() {
+    return !!this.browser && this.browser.isConnected();
+  }
+
+  /**
+   * Log in only when there is no saved session or it has expired
+   */
+  async ensureLoggedIn() {
+    await this.page.goto(this.portalUrl, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
+
+    if (await this._isLoggedIn()) {
+      console.log('✅ Reusing saved CourtReserve session');
+      return;
+    }
+
     await this.login();
   }
 
+  async _isLoggedIn() {
+    const loginButton = this.page.locator('button:has-text("LOG IN"), a:has-text("LOG IN")').first();
+    return !(await loginButton.isVisible().catch(() => false));
+  }
+
   async login() {
     console.log('🔐 Logging in to CourtReserve...');
     
     try {
-      await this.page.goto(process.env.COURTRESERVE_PORTAL_URL, {
+      await this.page.goto(this.portalUrl, {
         waitUntil: 'networkidle',
         timeout: 30000
       });
@@ -72,96 +122,160 @@ class CourtReserveBooker {
       await this.page.waitForLoadState('networkidle', { timeout: 15000 });
 
       console.log('✅ Successfully logged in');
+
+      await this.context.storageState({ path: SESSION_FILE });
+      console.log('💾 Saved session for next time');
       
     } catch (error) {
       console.error('❌ Login failed:', error.message);
-      try { await this.page.screenshot({ path: 'login-error.png' }); } catch (e) {}
+      try { await this._capture('login-error.png'); } catch (e) {}
       throw error;
     }
   }
 
   /**
-   * Navigate to the scheduler for a specific date.
-   * Uses day-by-day navigation but with faster clicks and recovery.
+   * Open the portal home page, logging in again first if a kept-warm
+   * browser's session has expired since the last request
+   */
+  async _openPortalHome() {
+    await this.page.goto(this.portalUrl, {
+      waitUntil: 'domcontentloaded', timeout: 30000
+    });
+    await this.page.waitForTimeout(1500);
+
+    if (!(await this._isLoggedIn())) {
+      console.log('🔑 Session expired, logging in again...');
+      await this.login();
+      await this.page.goto(this.portalUrl, {
+        waitUntil: 'domcontentloaded', timeout: 30000
+      });
+      await this.page.waitForTimeout(1500);
+    }
+  }
+
+  /**
+   * Whether a Reserve button belongs to the configured specific court.
+   * Courts without a label or ID accept any court.
    */
-  async _navigateToDate(gameDate) {
+  _matchesCourt(ariaLabel, dataHref, court) {
+    if (!court.court && !court.courtId) return true;
+    if (court.court && ariaLabel.toLowerCase().includes(court.court.toLowerCase())) return true;
+    if (court.courtId && new RegExp(`courtId(=|%3D)${court.courtId}\\b`, 'i').test(dataHref)) return true;
+    return false;
+  }
+
+  /**
+   * Whether a Reserve button is for the slot starting at a time (minutes
+   * since midnight). The time is "9:00 PM" in the aria-label, and
+   * "%209:00%20PM" or "%2021:00%20" in the data-href. Whole times only:
+   * "1:00 PM" must not match "11:00 PM", nor 9:00 match 9:30.
+   */
+  _matchesSlotTime(ariaLabel, dataHref, startMinutes) {
+    const [clockLabel, amPm] = this._minutesLabel(startMinutes).split(' ');
+    const hour24 = Math.floor(startMinutes / 60) % 24;
+    const minute = String(startMinutes % 60).padStart(2, '0');
+
+    return new RegExp(`\\b${clockLabel} ${amPm}\\b`).test(ariaLabel) ||
+      new RegExp(`%20${clockLabel}%20${amPm}`).test(dataHref) ||
+      new RegExp(`%20${hour24}:${minute}%20(?![AP]M)`).test(dataHref);
+  }
+
+  /**
+   * Navigate to the scheduler for a specific date and court type.
+   * Throws if the scheduler doesn't end up on that date.
+   */
+  async _navigateToDate(gameDate, court) {
     const targetMonthName = MONTH_NAMES[gameDate.getMonth()];
     const targetDay = gameDate.getDate();
     
     console.log(`📅 Navigating to ${targetMonthName} ${targetDay}, ${gameDate.getFullYear()}...`);
     
     // Navigate to portal and go through menu
-    await this.page.goto('https://app.courtreserve.com/Online/Portal/Index/6765', {
-      waitUntil: 'domcontentloaded', timeout: 30000
-    });
-    await this.page.waitForTimeout(1500);
+    await this._openPortalHome();
 
     await this.page.click('a[href="#menu"]');
     await this.page.waitForTimeout(800);
 
-    await this.page.click('a:has-text("Book Basketball"), button:has-text("Book Basketball")');
+    console.log(`🏢 Opening "${court.menu}" → "${court.bookingType}"`);
+    await this.page.click(`a:has-text("${court.menu}"), button:has-text("${court.menu}")`);
     await this.page.waitForTimeout(800);
 
-    await this.page.click('a:has-text("Book a Full Court")');
+    await this.page.click(`a:has-text("${court.bookingType}")`);
     await this.page.waitForTimeout(1500);
 
-    // Calculate days to navigate
-    const today = new Date();
-    today.setHours(0,0,0,0);
-    const target = new Date(gameDate);
-    target.setHours(0,0,0,0);
-    const daysDiff = Math.round((target - today) / (1000 * 60 * 60 * 24));
-    
-    console.log(`📅 Need to navigate ${daysDiff} days forward`);
-    
-    if (daysDiff <= 0) {
-      console.log(`✅ Target date is today or past`);
-      return;
+    // Jump straight to the date instead of stepping through every day
+    await this._jumpToDate(gameDate);
+    await this.page.waitForTimeout(1000);
+
+    // Verify we landed on the right date: booking the wrong day is worse than failing
+    const currentDateText = await this._readSchedulerDate();
+    console.log(`📅 Scheduler now showing: "${currentDateText}"`);
+
+    if (!this._isShowingDate(currentDateText, gameDate)) {
+      throw new Error(
+        `Scheduler is showing "${currentDateText || 'an unknown date'}", expected ${targetMonthName} ${targetDay}, ${gameDate.getFullYear()}`
+      );
     }
+    console.log(`✅ Successfully navigated to target date!`);
+  }
 
-    // Click "next" with fast intervals and periodic verification
-    for (let i = 0; i < daysDiff; i++) {
-      try {
-        await this.page.click(
-          '.k-scheduler-toolbar .k-nav-next, [data-testid="link-2"], button[aria-label="Next"]',
-          { timeout: 5000 }
-        );
-        // Short wait between clicks, longer pause every 7 days to let page catch up
-        if ((i + 1) % 7 === 0) {
-          await this.page.waitForTimeout(800);
-        } else {
-          await this.page.waitForTimeout(250);
-        }
-      } catch (e) {
-        console.log(`⚠️ Click failed at day ${i + 1}/${daysDiff}, waiting and retrying...`);
-        await this.page.waitForTimeout(2000);
-        try {
-          await this.page.click('button[aria-label="Next"]', { timeout: 5000 });
-          await this.page.waitForTimeout(300);
-        } catch (e2) {
-          console.log(`❌ Recovery failed at day ${i + 1}`);
-          break;
-        }
+  /**
+   * Move the scheduler to a date the way its toolbar date picker does:
+   * fire Kendo's "navigate" event (CourtReserve reloads slots on it) and
+   * then set the view date. Falls back to clicking the day in the date
+   * picker popup when the widget isn't reachable.
+   */
+  async _jumpToDate(gameDate) {
+    const year = gameDate.getFullYear();
+    const month = gameDate.getMonth();
+    const day = gameDate.getDate();
+
+    const jumped = await this.page.evaluate(({ year, month, day }) => {
+      const scheduler = window.jQuery?.('.k-scheduler').data('kendoScheduler');
+      if (!scheduler) return false;
+
+      const date = new Date(year, month, day);
+      if (!scheduler.trigger('navigate', { view: scheduler.view().name, action: 'changeDate', date })) {
+        scheduler.date(date);
       }
-    }
+      return true;
+    }, { year, month, day });
 
-    // Wait for final page to settle
-    await this.page.waitForTimeout(1000);
+    if (jumped) return;
+
+    console.log('⚠️ Scheduler widget not reachable, using the date picker popup...');
+    await this.page.click('.k-scheduler-toolbar .k-nav-current, [data-testid="link-0"], .fn-scheduler-toolbar-name');
+    await this.page.waitForTimeout(500);
+
+    // Kendo calendar cells carry data-value="YYYY/M/D" with a zero-based month
+    const dayCell = `.k-calendar a[data-value="${year}/${month}/${day}"]`;
+    for (let i = 0; i < 12 && !(await this.page.$(dayCell)); i++) {
+      await this.page.click('.k-calendar .k-nav-next');
+      await this.page.waitForTimeout(300);
+    }
+    await this.page.click(dayCell, { timeout: 5000 });
+  }
 
-    // Verify we landed on the right date
-    const currentDateText = await this.page.$eval(
+  async _readSchedulerDate() {
+    return await this.page.$eval(
       '.k-scheduler-toolbar .k-nav-current, [data-testid="link-0"], .fn-scheduler-toolbar-name',
       el => el.textContent.trim()
     ).catch(() => '');
-    
-    console.log(`📅 Scheduler now showing: "${currentDateText}"`);
-    
-    if (currentDateText.includes(`${targetMonthName} ${targetDay}`) || 
-        currentDateText.includes(`${targetMonthName.substring(0,3)} ${targetDay}`)) {
-      console.log(`✅ Successfully navigated to target date!`);
-    } else {
-      console.log(`⚠️ May not be on correct date. Expected ${targetMonthName} ${targetDay}`);
-    }
+  }
+
+  /**
+   * Whether the scheduler toolbar text ("Tuesday, February 24, 2026",
+   * "Feb 24", "2/24/2026") is showing the given date
+   */
+  _isShowingDate(toolbarText, gameDate) {
+    const month = gameDate.getMonth();
+    const day = gameDate.getDate();
+    const monthDay = new RegExp(
+      `\\b(${MONTH_NAMES[month]}|${SHORT_MONTH_NAMES[month]})\\.? 0?${day}\\b|\\b0?${month + 1}/0?${day}\\b`,
+      'i'
+    );
+    const years = toolbarText.match(/\b20\d{2}\b/g);
+    return monthDay.test(toolbarText) && (!years || years.includes(String(gameDate.getFullYear())));
   }
 
   /**
@@ -186,15 +300,15 @@ class CourtReserveBooker {
   }
 
   /**
-   * Check slot status for a given hour
+   * Check the status of the slot starting at a time (minutes since
+   * midnight), on the configured court if it names one
    */
-  async _getSlotStatus(startHour24) {
-    return await this.page.evaluate((targetHour24) => {
-      const displayHour = targetHour24 > 12 ? targetHour24 - 12 : targetHour24;
-      const amPm = targetHour24 >= 12 ? 'PM' : 'AM';
-      const exactHourRegex = new RegExp(`\\b${displayHour}:00 ${amPm}\\b`);
-      const exactHourUrlRegex = new RegExp(`%20${displayHour}:00%20${amPm}`);
-      const exact24hUrlRegex = new RegExp(`%20${targetHour24}:00%20`);
+  async _getSlotStatus(startMinutes, court) {
+    const [clockLabel, amPm] = this._minutesLabel(startMinutes).split(' ');
+
+    const unavailable = await this.page.evaluate(({ clockLabel, amPm }) => {
+      const exactTimeRegex = new RegExp(`\\b${clockLabel} ${amPm}\\b`);
+      const exactTimeUrlRegex = new RegExp(`%20${clockLabel}%20${amPm}`);
     
       // Check NONE AVAILABLE slots
       const noneAvailable = document.querySelectorAll(
@@ -206,70 +320,377 @@ class CourtReserveBooker {
         const parentDataTime = slot.closest('[data-time]')?.getAttribute('data-time') || '';
     
         if (
-          exactHourRegex.test(dataTime) ||
-          exactHourRegex.test(parentAriaLabel) ||
-          exactHourRegex.test(parentDataTime) ||
-          exactHourUrlRegex.test(dataTime) ||
-          exactHourUrlRegex.test(parentAriaLabel) ||
-          exactHourUrlRegex.test(parentDataTime)
+          exactTimeRegex.test(dataTime) ||
+          exactTimeRegex.test(parentAriaLabel) ||
+          exactTimeRegex.test(parentDataTime) ||
+          exactTimeUrlRegex.test(dataTime) ||
+          exactTimeUrlRegex.test(parentAriaLabel) ||
+          exactTimeUrlRegex.test(parentDataTime)
         ) {
-          return 'unavailable';
+          return true;
         }
       }
+      return false;
+    }, { clockLabel, amPm });
+    if (unavailable) return 'unavailable';
+
+    // Check Reserve buttons with the same matcher _bookSlot clicks by
+    const reserveButtons = await this.page.$$eval(
+      'a.slot-btn, a.btn-consolidate-slot, [class*="slot-btn"]',
+      buttons => buttons.map(btn => ({
+        ariaLabel: btn.getAttribute('aria-label') || '',
+        dataHref: btn.getAttribute('data-href') || ''
+      }))
+    );
+    const available = reserveButtons.some(({ ariaLabel, dataHref }) =>
+      this._matchesSlotTime(ariaLabel, dataHref, startMinutes) && this._matchesCourt(ariaLabel, dataHref, court)
+    );
+
+    return available ? 'available' : 'unknown';
+  }
+
+  /**
+   * Book every hourly slot of a game.
+   * With dryRun the whole flow runs up to the reservation modal, which is
+   * screenshotted and closed without confirming; the result has dryRun set.
+   */
+  async bookCourt(gameDate, timeRange, courtName, { dryRun = false } = {}) {
+    console.log(`📅 ${dryRun ? 'Dry run: booking' : 'Booking'} court for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}-${timeRange.endDisplay}`);
+
+    // An unknown court must never fall back to booking some other court
+    const court = this.courts.resolve(courtName);
+    if (!court) {
+      console.error(`❌ Unknown court: ${courtName}`);
+      return {
+        success: false,
+        unknownCourt: true,
+        message: `Unknown court "${courtName}". Known courts: ${this.courts.names().join(', ')}`,
+        dryRun
+      };
+    }
+    console.log(`🏢 Court: ${court.name}${court.court ? ` (${court.court})` : ''}`);
+
+    // "9:30-11p" would otherwise book 9:30-11:30, and "11-1a" only 11-12
+    const unbookable = this._unbookableRangeMessage(timeRange);
+    if (unbookable) {
+      console.error(`❌ ${unbookable}`);
+      return { success: false, unsupportedStart: true, slots: [], message: unbookable, dryRun };
+    }
     
-      // Check Reserve buttons
-      const reserveButtons = document.querySelectorAll('a.slot-btn, a.btn-consolidate-slot, [class*="slot-btn"]');
-      for (const btn of reserveButtons) {
-        const ariaLabel = btn.getAttribute('aria-label') || '';
-        const dataHref = btn.getAttribute('data-href') || '';
-    
-        if (
-          exactHourRegex.test(ariaLabel) ||
-          exactHourUrlRegex.test(dataHref) ||
-          exact24hUrlRegex.test(dataHref)
-        ) {
-          return 'available';
+    const result = await this._withRun(dryRun ? 'dry-run' : 'book', async () => {
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          if (attempt > 1) {
+            console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
+            try { await this.close(); } catch (e) {}
+            await this.initialize();
+          }
+
+          return await this._doBookCourt(gameDate, timeRange, court, { dryRun });
+        } catch (error) {
+          console.error(`❌ Booking attempt ${attempt} failed: ${error.message}`);
+          if (attempt === MAX_RETRIES || this.confirmClicked) {
+            let screenshot = null;
+            try { screenshot = await this._capture('booking-error.png'); } catch (e) {}
+            return { 
+              success: false, 
+              error: this.confirmClicked ? `${error.message} (not retried: a slot was already confirmed)` : error.message,
+              screenshots: { failure: screenshot }
+            };
+          }
         }
       }
-    
-      return 'unknown';
-    }, startHour24);
+    });
+    return dryRun ? { ...result, dryRun: true } : result;
   }
 
-  async bookCourt(gameDate, timeRange, courtName) {
-    console.log(`📅 Booking court for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}-${timeRange.endDisplay}`);
-    
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+  async _doBookCourt(gameDate, timeRange, court, { dryRun = false } = {}) {
+    this.confirmClicked = false;
+
+    // Navigate to the correct date
+    await this._navigateToDate(gameDate, court);
+
+    // CourtReserve reserves one hour per Reserve button, so a "9-11p" game
+    // is booked as the 9:00 and 10:00 slots in turn
+    const starts = this._slotStarts(timeRange);
+    console.log(`🔍 Booking ${starts.length} hourly slot(s): ${starts.map(m => this._minutesLabel(m)).join(', ')}`);
+
+    const notOffered = await this._startNotOffered(starts[0]);
+    if (notOffered) {
+      console.log(`❌ ${notOffered}`);
+      const screenshot = await this._capture('start-time-not-offered.png');
+      return {
+        success: false,
+        unsupportedStart: true,
+        slots: [],
+        message: notOffered,
+        screenshots: { failure: screenshot }
+      };
+    }
+
+    const slots = [];
+    for (const [index, startMinutes] of starts.entries()) {
+      let slot;
       try {
-        if (attempt > 1) {
-          console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
-          try { await this.close(); } catch (e) {}
-          await this.initialize();
-        }
+        slot = await this._bookSlot(startMinutes, court, { dryRun });
 
-        return await this._doBookCourt(gameDate, timeRange, courtName);
+        // After a confirmation the scheduler may have reloaded elsewhere
+        if (slot.status === 'not-found' && index > 0) {
+          console.log('🔄 Slot not found after previous booking, re-opening the date...');
+          await this._navigateToDate(gameDate, court);
+          slot = await this._bookSlot(startMinutes, court, { dryRun });
+        }
       } catch (error) {
-        console.error(`❌ Booking attempt ${attempt} failed: ${error.message}`);
-        if (attempt === MAX_RETRIES) {
-          try { await this.page.screenshot({ path: 'booking-error.png' }); } catch (e) {}
-          return { 
-            success: false, 
-            error: error.message,
-            screenshots: { failure: 'booking-error.png' }
-          };
+        // Until a confirm button is clicked the whole game can be retried;
+        // after that a retry would book the confirmed slots a second time
+        if (!this.confirmClicked) throw error;
+
+        console.error(`❌ Slot ${this._slotLabel(startMinutes)} failed: ${error.message}`);
+        slot = {
+          minutes: startMinutes,
+          label: this._slotLabel(startMinutes),
+          status: 'failed',
+          message: error.message,
+          screenshot: await this.screenshot(`slot-error-${this._fileSuffix(startMinutes)}.png`)
+        };
+      }
+      slots.push(slot);
+
+      if (slot.status === 'failed') {
+        for (const skipped of starts.slice(index + 1)) {
+          slots.push({
+            minutes: skipped,
+            label: this._slotLabel(skipped),
+            status: 'skipped',
+            message: 'Not tried after an earlier slot failed'
+          });
         }
+        break;
       }
     }
+
+    if (dryRun) {
+      const problem = slots.find(slot => slot.status !== 'ready');
+      console.log(`🧪 Dry run finished: ${problem ? problem.message : 'every slot is ready to book'}`);
+      return {
+        success: false,
+        ready: !problem,
+        slots,
+        message: problem ? problem.message : `Would book ${slots.length} hourly slot(s)`,
+        screenshots: {
+          preview: slots.filter(slot => slot.status === 'ready').pop()?.screenshot,
+          failure: problem?.screenshot
+        }
+      };
+    }
+
+    // A clicked confirm button only counts once the reservation shows up
+    const clicked = slots.filter(slot => slot.status === 'booked');
+    const reservations = clicked.length > 0 ? await this._verifySlots(gameDate, court, clicked) : null;
+
+    const booked = slots.filter(slot => slot.status === 'booked');
+    const confirmationNumbers = [...new Set(booked.map(slot => slot.confirmationNumber).filter(Boolean))];
+    const lastScreenshot = slots[slots.length - 1].screenshot;
+
+    if (booked.length === slots.length) {
+      console.log('✅ Booking completed and verified!');
+      return {
+        success: true,
+        slots,
+        confirmationNumbers,
+        screenshots: {
+          confirmation: lastScreenshot,
+          reservations
+        }
+      };
+    }
+
+    if (booked.length > 0) {
+      console.log(`⚠️ Partially booked: ${booked.length}/${slots.length} slots`);
+      return {
+        success: false,
+        partial: true,
+        slots,
+        confirmationNumbers,
+        message: `Only ${booked.length} of ${slots.length} hourly slots were booked`,
+        screenshots: {
+          confirmation: booked[booked.length - 1].screenshot,
+          failure: slots.find(slot => slot.status !== 'booked').screenshot,
+          reservations
+        }
+      };
+    }
+
+    const unverified = slots.find(slot => slot.status === 'unverified');
+    if (unverified) {
+      console.log(`⚠️ Confirmed but not verified: ${unverified.message}`);
+      return {
+        success: false,
+        unverified: true,
+        slots,
+        message: unverified.message,
+        screenshots: {
+          confirmation: unverified.screenshot,
+          reservations
+        }
+      };
+    }
+
+    if (slots.every(slot => slot.status === 'unavailable')) {
+      return {
+        success: false,
+        alreadyBooked: true,
+        slots,
+        message: `The ${timeRange.startDisplay} - ${timeRange.endDisplay} slots are already fully booked`,
+        screenshots: { failure: slots[0].screenshot }
+      };
+    }
+
+    const failure = slots.find(slot => slot.status !== 'unavailable') || slots[0];
+    return {
+      success: false,
+      slots,
+      message: failure.message,
+      screenshots: { failure: failure.screenshot }
+    };
   }
 
-  async _doBookCourt(gameDate, timeRange, courtName) {
-    // Navigate to the correct date
-    await this._navigateToDate(gameDate);
+  /**
+   * Look up each confirmed slot in the account's reservations list. A slot
+   * with no entry for its date, time and court becomes 'unverified'; a
+   * found one gets the entry's confirmationNumber, if it shows one.
+   * Returns a screenshot of the list.
+   */
+  async _verifySlots(gameDate, court, slots) {
+    console.log(`🔎 Verifying ${slots.length} reservation(s) in My Reservations...`);
+
+    // Never throw from here: a retry would book the confirmed slots again
+    const checked = new Set();
+    try {
+      await this._openReservations();
+
+      let previous = null;
+      for (const slot of slots) {
+        let reservation = await this._findReservation(gameDate, slot.minutes, court);
+
+        // Back-to-back hours can be listed as one reservation, e.g. "9:00 PM - 11:00 PM"
+        const previousRange = previous?.range;
+        if (!reservation && previousRange && previousRange.start <= slot.minutes && slot.minutes < previousRange.end) {
+          reservation = previous;
+        }
+
+        checked.add(slot);
+        if (!reservation) {
+          console.log(`❌ No reservation found for ${slot.label}`);
+          slot.status = 'unverified';
+          slot.message = `Confirmed ${slot.label}, but it isn't in My Reservations` +
+            (court.court ? ` for ${court.court}` : '');
+          continue;
+        }
+
+        const match = reservation.text.match(CONFIRMATION_PATTERN);
+        slot.confirmationNumber = match ? match[1] : null;
+        previous = reservation;
+        console.log(`✅ Verified ${slot.label}${slot.confirmationNumber ? ` (#${slot.confirmationNumber})` : ''}`);
+      }
+    } catch (error) {
+      console.error(`❌ Could not verify reservations: ${error.message}`);
+      for (const slot of slots.filter(slot => !checked.has(slot))) {
+        slot.status = 'unverified';
+        slot.message = `Confirmed ${slot.label}, but could not check My Reservations: ${error.message}`;
+      }
+    }
+
+    try {
+      return await this._capture('reservations-verified.png', { fullPage: true });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * First "9:00 PM - 11:00 PM" style range in a reservation's text, as
+   * minutes since midnight, or null
+   */
+  _rangeInText(text) {
+    const match = text.match(/\b(\d{1,2}):(\d{2})\s*(AM|PM)\s*[-–]\s*(\d{1,2}):(\d{2})\s*(AM|PM)\b/i);
+    if (!match) return null;
+
+    const start = this._clockToMinutes(match[1], match[2], match[3]);
+    const end = this._clockToMinutes(match[4], match[5], match[6]);
+    return { start, end: end > start ? end : end + 24 * 60 };
+  }
+
+  // First "9:00 PM" style time in a text, as minutes since midnight, or null
+  _firstTimeInText(text) {
+    const match = text.match(/\b(\d{1,2}):(\d{2})\s*(AM|PM)\b/i);
+    return match ? this._clockToMinutes(match[1], match[2], match[3]) : null;
+  }
+
+  // ("9", "30", "PM") → 1290
+  _clockToMinutes(hour, minute, amPm) {
+    return (parseInt(hour) % 12 + (amPm.toUpperCase() === 'PM' ? 12 : 0)) * 60 + parseInt(minute);
+  }
+
+  /**
+   * Start times (minutes since midnight) of the one-hour slots covering a
+   * time range. "9-11p" → [1260, 1320], "9:30-11:30p" → [1290, 1350].
+   * Returns null for a range one-hour slots can't cover exactly
+   * ("9:30-11p", "9-10:30p") or that runs past midnight ("11-1a"), whose
+   * later hours are on the next day's scheduler.
+   */
+  _slotStarts(timeRange) {
+    const start = this._toMinutes(timeRange.startTime);
+    let end = this._toMinutes(timeRange.endTime);
 
-    const startHour24 = parseInt(timeRange.startTime.split(':')[0]);
-    const displayHour = startHour24 > 12 ? startHour24 - 12 : startHour24;
-    const amPm = startHour24 >= 12 ? 'PM' : 'AM';
-    const timeLabel = `${displayHour}:00 ${amPm}`;
+    // An end at or after midnight ("10-12a") is on the game day's clock
+    if (end <= start) end += 24 * 60;
+    if ((end - start) % 60 !== 0 || end > 24 * 60) return null;
+
+    const starts = [];
+    for (let minutes = start; minutes < end; minutes += 60) {
+      starts.push(minutes);
+    }
+    return starts;
+  }
+
+  // Why a range can't be split into one-hour slots on its day, or null if it can
+  _unbookableRangeMessage(timeRange) {
+    if (this._slotStarts(timeRange)) return null;
+
+    const range = `${timeRange.startDisplay}-${timeRange.endDisplay}`;
+    const length = this._toMinutes(timeRange.endTime) - this._toMinutes(timeRange.startTime);
+    if (length % 60 !== 0) {
+      return `${range} isn't a whole number of hours, and courts are booked in one-hour slots`;
+    }
+    return `${range} runs past midnight, and the hours after it are on the next day's schedule`;
+  }
+
+  /**
+   * Why a start time can't be booked at all, or null if it can. The
+   * scheduler's slots all start at the same minutes past the hour (":00",
+   * or ":00" and ":30"), so a 9:30 game on an on-the-hour schedule is
+   * rejected up front instead of quietly matching the 9:00 slot.
+   */
+  async _startNotOffered(startMinutes) {
+    const minuteMarks = new Set((await this._scrapeSlots()).map(slot => slot.minutes % 60));
+    if (minuteMarks.size === 0 || minuteMarks.has(startMinutes % 60)) return null;
+
+    const marks = [...minuteMarks].sort((a, b) => a - b).map(minute => `:${String(minute).padStart(2, '0')}`);
+    return `The facility's slots start at ${marks.join(' and ')} past the hour, so there is no slot starting at ${this._minutesLabel(startMinutes)}`;
+  }
+
+  /**
+   * Reserve a single one-hour slot on the currently open scheduler date.
+   * Returns { minutes, label, status, message, screenshot } where status is
+   * 'booked', 'unavailable', 'not-found' or 'unconfirmed'. 'booked' only
+   * means the confirm button was clicked; _verifySlots checks it took.
+   * A dry run stops at the reservation modal and reports 'ready' instead.
+   */
+  async _bookSlot(startMinutes, court, { dryRun = false } = {}) {
+    const timeLabel = this._minutesLabel(startMinutes);
+    const label = this._slotLabel(startMinutes);
+    const fileSuffix = this._fileSuffix(startMinutes);
 
     console.log(`🔍 Looking for time slot: ${timeLabel}`);
 
@@ -277,15 +698,16 @@ class CourtReserveBooker {
     await this._scrollToTimeSlots();
 
     // Check if already booked
-    const slotStatus = await this._getSlotStatus(startHour24);
+    const slotStatus = await this._getSlotStatus(startMinutes, court);
     if (slotStatus === 'unavailable') {
       console.log(`❌ Time slot ${timeLabel} is already fully booked`);
-      await this.page.screenshot({ path: 'slot-already-booked.png' });
+      const screenshot = await this._capture(`slot-already-booked-${fileSuffix}.png`);
       return {
-        success: false,
-        alreadyBooked: true,
+        minutes: startMinutes,
+        label,
+        status: 'unavailable',
         message: `The ${timeLabel} slot is already fully booked`,
-        screenshots: { failure: 'slot-already-booked.png' }
+        screenshot
       };
     }
 
@@ -294,18 +716,13 @@ class CourtReserveBooker {
     console.log(`Found ${reserveButtons.length} reserve buttons`);
 
     let timeSlotClicked = false;
-    const exactHourRegex = new RegExp(`%20${displayHour}:00%20${amPm}`);
 
     for (const button of reserveButtons) {
       try {
         const ariaLabel = await button.getAttribute('aria-label') || '';
         const dataHref = await button.getAttribute('data-href') || '';
         
-        const matchesTime = 
-          ariaLabel.includes(timeLabel) ||
-          exactHourRegex.test(dataHref);
-        
-        if (matchesTime) {
+        if (this._matchesSlotTime(ariaLabel, dataHref, startMinutes) && this._matchesCourt(ariaLabel, dataHref, court)) {
           console.log(`✅ Found correct time slot: ${timeLabel}`);
           await button.scrollIntoViewIfNeeded();
           await this.page.waitForTimeout(300);
@@ -319,15 +736,17 @@ class CourtReserveBooker {
 
     if (!timeSlotClicked) {
       console.log('❌ Could not find time slot');
-      await this.page.screenshot({ path: 'time-slot-not-found.png' });
+      const screenshot = await this._capture(`time-slot-not-found-${fileSuffix}.png`);
       return {
-        success: false,
+        minutes: startMinutes,
+        label,
+        status: 'not-found',
         message: `Could not find time slot: ${timeLabel}`,
-        screenshots: { failure: 'time-slot-not-found.png' }
+        screenshot
       };
     }
 
-    await this.page.screenshot({ path: 'step-timeslot.png' });
+    await this._capture(`step-timeslot-${fileSuffix}.png`);
 
     // Handle confirmation popup
     console.log('🎯 Waiting for confirmation popup...');
@@ -336,16 +755,20 @@ class CourtReserveBooker {
     const confirmSelectors = [
       'button:has-text("Confirm")', 'button:has-text("Complete Reservation")',
       'button:has-text("Submit")', '.modal button:has-text("Book")',
-      '.modal button[type="submit"]', 'button:has-text("Reserve")',
-      '[class*="modal"] button'
+      '.modal button[type="submit"]', 'button:has-text("Reserve")'
     ];
 
+    if (dryRun) {
+      return await this._previewSlot(startMinutes, label, fileSuffix, confirmSelectors);
+    }
+
     let confirmed = false;
     for (const selector of confirmSelectors) {
       try {
         const element = await this.page.$(selector);
         if (element) {
           console.log(`✅ Found confirmation button: ${selector}`);
+          this.confirmClicked = true;
           await element.click();
           confirmed = true;
           await this.page.waitForTimeout(2000);
@@ -354,83 +777,693 @@ class CourtReserveBooker {
       } catch (e) {}
     }
 
-    await this.page.screenshot({ path: 'step-confirmation.png', fullPage: true });
+    const screenshot = await this._capture(`step-confirmation-${fileSuffix}.png`, { fullPage: true });
 
     if (confirmed) {
-      console.log('✅ Booking completed successfully!');
-      return { 
-        success: true, 
-        screenshots: {
-          confirmation: 'step-confirmation.png'
+      console.log(`✅ Slot ${label} booked`);
+      return { minutes: startMinutes, label, status: 'booked', screenshot };
+    }
+
+    console.log('⚠️ Could not find confirmation button - check screenshots');
+    return {
+      minutes: startMinutes,
+      label,
+      status: 'unconfirmed',
+      message: 'Could not find confirmation button',
+      screenshot
+    };
+  }
+
+  /**
+   * Dry-run end of _bookSlot: screenshot the open reservation modal, note
+   * which confirm button would have been clicked, and close the modal
+   * without clicking it.
+   */
+  async _previewSlot(startMinutes, label, fileSuffix, confirmSelectors) {
+    let wouldClick = null;
+    for (const selector of confirmSelectors) {
+      try {
+        if (await this.page.$(selector)) {
+          wouldClick = selector;
+          break;
         }
-      };
-    } else {
-      console.log('⚠️ Could not find confirmation button - check screenshots');
-      return { 
-        success: false, 
+      } catch (e) {}
+    }
+
+    const screenshot = await this._capture(`dry-run-modal-${fileSuffix}.png`, { fullPage: true });
+    await this._closeModal();
+
+    if (!wouldClick) {
+      console.log('⚠️ Dry run: no confirmation button in the modal - check screenshots');
+      return {
+        minutes: startMinutes,
+        label,
+        status: 'unconfirmed',
         message: 'Could not find confirmation button',
-        screenshots: {
-          confirmation: 'step-confirmation.png'
-        }
+        screenshot
       };
     }
+
+    console.log(`🧪 Dry run: would click ${wouldClick} for ${label}`);
+    return {
+      minutes: startMinutes,
+      label,
+      status: 'ready',
+      message: `Would click ${wouldClick}`,
+      screenshot
+    };
   }
 
-  async checkAvailability(gameDate, timeRange) {
-    console.log(`🔍 Checking availability for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}`);
+  /**
+   * Back out of an open modal. Only dismiss controls are used, never the
+   * buttons that submit it.
+   */
+  async _closeModal() {
+    await this.page.keyboard.press('Escape');
+    await this.page.waitForTimeout(800);
 
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const closeSelectors = [
+      '.modal [data-dismiss="modal"]', '.modal button.close', '.modal [aria-label="Close"]',
+      '.k-window [aria-label="Close"]', '.k-window-titlebar-action'
+    ];
+    for (const selector of closeSelectors) {
       try {
-        if (attempt > 1) {
-          console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
-          try { await this.close(); } catch (e) {}
-          await this.initialize();
+        const element = await this.page.$(selector);
+        if (element && await element.isVisible()) {
+          console.log(`↩️  Closing modal: ${selector}`);
+          await element.click();
+          await this.page.waitForTimeout(800);
+          break;
         }
+      } catch (e) {}
+    }
+  }
 
-        return await this._doCheckAvailability(gameDate, timeRange);
-      } catch (error) {
-        console.error(`❌ Availability check attempt ${attempt} failed: ${error.message}`);
-        if (attempt === MAX_RETRIES) {
-          try { await this.page.screenshot({ path: 'availability-check-error.png' }); } catch (e) {}
-          return {
-            status: 'error',
-            error: error.message,
-            screenshot: 'availability-check-error.png'
-          };
+  async checkAvailability(gameDate, timeRange, courtName = null) {
+    console.log(`🔍 Checking availability for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}`);
+
+    const court = this.courts.resolve(courtName);
+    if (!court) {
+      console.error(`❌ Unknown court: ${courtName}`);
+      return {
+        status: 'error',
+        error: `Unknown court "${courtName}". Known courts: ${this.courts.names().join(', ')}`
+      };
+    }
+
+    const unbookable = this._unbookableRangeMessage(timeRange);
+    if (unbookable) {
+      console.error(`❌ ${unbookable}`);
+      return { status: 'unsupported', timeLabel: this._minutesLabel(this._toMinutes(timeRange.startTime)), message: unbookable };
+    }
+
+    return await this._withRun('check', async () => {
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          if (attempt > 1) {
+            console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
+            try { await this.close(); } catch (e) {}
+            await this.initialize();
+          }
+
+          return await this._doCheckAvailability(gameDate, timeRange, court);
+        } catch (error) {
+          console.error(`❌ Availability check attempt ${attempt} failed: ${error.message}`);
+          if (attempt === MAX_RETRIES) {
+            let screenshot = null;
+            try { screenshot = await this._capture('availability-check-error.png'); } catch (e) {}
+            return {
+              status: 'error',
+              error: error.message,
+              screenshot
+            };
+          }
         }
       }
-    }
+    });
   }
 
-  async _doCheckAvailability(gameDate, timeRange) {
+  async _doCheckAvailability(gameDate, timeRange, court) {
     // Navigate to the correct date
-    await this._navigateToDate(gameDate);
+    await this._navigateToDate(gameDate, court);
 
     // Scroll to time slots
     await this._scrollToTimeSlots();
 
-    const startHour24 = parseInt(timeRange.startTime.split(':')[0]);
-    const displayHour = startHour24 > 12 ? startHour24 - 12 : startHour24;
-    const amPm = startHour24 >= 12 ? 'PM' : 'AM';
-    const timeLabel = `${displayHour}:00 ${amPm}`;
+    const startMinutes = this._toMinutes(timeRange.startTime);
+    const timeLabel = this._minutesLabel(startMinutes);
+
+    const notOffered = await this._startNotOffered(startMinutes);
+    if (notOffered) {
+      console.log(`❌ ${notOffered}`);
+      const screenshot = await this._capture('availability-check.png');
+      return {
+        status: 'unsupported',
+        timeLabel,
+        message: notOffered,
+        screenshot
+      };
+    }
 
     console.log(`🔍 Checking slot: ${timeLabel}`);
-    const slotStatus = await this._getSlotStatus(startHour24);
+    const slotStatus = await this._getSlotStatus(startMinutes, court);
 
-    await this.page.screenshot({ path: 'availability-check.png' });
+    const screenshot = await this._capture('availability-check.png');
     console.log(`📸 Availability check - Status: ${slotStatus}`);
 
     return {
       status: slotStatus,
       timeLabel,
-      screenshot: 'availability-check.png'
+      screenshot
     };
   }
 
+  async getDayAvailability(gameDate, courtName = null) {
+    console.log(`🗓️  Reading all slots for ${gameDate.toLocaleDateString()}`);
+
+    const court = this.courts.resolve(courtName);
+    if (!court) {
+      console.error(`❌ Unknown court: ${courtName}`);
+      return {
+        status: 'error',
+        error: `Unknown court "${courtName}". Known courts: ${this.courts.names().join(', ')}`
+      };
+    }
+
+    return await this._withRun('avail', async () => {
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          if (attempt > 1) {
+            console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
+            try { await this.close(); } catch (e) {}
+            await this.initialize();
+          }
+
+          return await this._doGetDayAvailability(gameDate, court);
+        } catch (error) {
+          console.error(`❌ Day availability attempt ${attempt} failed: ${error.message}`);
+          if (attempt === MAX_RETRIES) {
+            let screenshot = null;
+            try { screenshot = await this._capture('day-availability-error.png'); } catch (e) {}
+            return {
+              status: 'error',
+              error: error.message,
+              screenshot
+            };
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Read every slot the open scheduler date shows, as
+   * { minutes, open, court, ariaLabel, dataHref } for each court's slot
+   */
+  async _scrapeSlots() {
+    return await this.page.evaluate(() => {
+      const timeRegex = /\b(\d{1,2}):(\d{2})\s*(AM|PM)\b/i;
+      const decode = (text) => {
+        try { return decodeURIComponent(text || ''); } catch (e) { return text || ''; }
+      };
+      const readMinutes = (...texts) => {
+        for (const text of texts) {
+          const match = decode(text).match(timeRegex);
+          if (match) {
+            const hour24 = (parseInt(match[1]) % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+            return hour24 * 60 + parseInt(match[2]);
+          }
+        }
+        return null;
+      };
+
+      const slots = [];
+
+      const noneAvailable = document.querySelectorAll(
+        '.not-available-courts-container, [data-testid="noneAvailableBtn"], [class*="not-available"]'
+      );
+      for (const slot of noneAvailable) {
+        const minutes = readMinutes(
+          slot.getAttribute('data-time'),
+          slot.closest('[aria-label]')?.getAttribute('aria-label'),
+          slot.closest('[data-time]')?.getAttribute('data-time')
+        );
+        if (minutes !== null) slots.push({ minutes, open: false });
+      }
+
+      const reserveButtons = document.querySelectorAll('a.slot-btn, a.btn-consolidate-slot, [class*="slot-btn"]');
+      for (const btn of reserveButtons) {
+        const ariaLabel = btn.getAttribute('aria-label') || '';
+        const dataHref = btn.getAttribute('data-href') || '';
+        const minutes = readMinutes(ariaLabel, dataHref);
+        if (minutes === null) continue;
+
+        const courtMatch = decode(dataHref).match(/courtLabel=([^&]+)/i) || ariaLabel.match(/\b(Court\s*[\w-]+)/i);
+        slots.push({
+          minutes,
+          open: true,
+          court: courtMatch ? courtMatch[1].trim() : null,
+          ariaLabel,
+          dataHref
+        });
+      }
+
+      return slots;
+    });
+  }
+
+  /**
+   * Scrape every slot on the scheduler for the open date.
+   * Returns { status: 'ok', slots, screenshot } where each slot is
+   * { minutes, label, openCourts, full } sorted by start time.
+   */
+  async _doGetDayAvailability(gameDate, court) {
+    await this._navigateToDate(gameDate, court);
+    await this._scrollToTimeSlots();
+
+    const found = await this._scrapeSlots();
+
+    const byTime = new Map();
+    for (const slot of found) {
+      if (slot.open && !this._matchesCourt(slot.ariaLabel, slot.dataHref, court)) continue;
+
+      if (!byTime.has(slot.minutes)) {
+        byTime.set(slot.minutes, {
+          minutes: slot.minutes,
+          label: this._minutesLabel(slot.minutes),
+          openCourts: [],
+          full: false
+        });
+      }
+      const entry = byTime.get(slot.minutes);
+      if (slot.open) {
+        const courtLabel = slot.court || court.court || court.name;
+        if (!entry.openCourts.includes(courtLabel)) entry.openCourts.push(courtLabel);
+      } else {
+        entry.full = true;
+      }
+    }
+
+    const slots = [...byTime.values()].sort((a, b) => a.minutes - b.minutes);
+    // A time with any Reserve button is open, even if some courts are full
+    for (const slot of slots) {
+      if (slot.openCourts.length > 0) slot.full = false;
+    }
+
+    const screenshot = await this._capture(`day-availability-${this._isoDate(gameDate)}.png`, { fullPage: true });
+    console.log(`📸 Day availability - ${slots.filter(s => !s.full).length} open / ${slots.length} slots`);
+
+    return {
+      status: 'ok',
+      court: court.name,
+      slots,
+      screenshot
+    };
+  }
+
+  /**
+   * Look for open slots near a full one: the same length of game shifted
+   * by an hour or two on the same day, then the same time on neighbouring
+   * days. Returns up to `max` alternatives as
+   * { gameDate, startMinutes, endMinutes, label }, nearest first.
+   */
+  async findAlternatives(gameDate, timeRange, courtName = null, { max = 5 } = {}) {
+    const court = this.courts.resolve(courtName);
+    if (!court) return [];
+
+    const starts = this._slotStarts(timeRange);
+    if (!starts) return [];
+    const startMinutes = starts[0];
+    const duration = starts.length * 60;
+
+    const today = this.clock.today();
+
+    return await this._withRun('alternatives', async () => {
+      const alternatives = [];
+      const searches = [
+        { dayOffset: 0, hourOffsets: [-1, 1, -2, 2] },
+        { dayOffset: 1, hourOffsets: [0] },
+        { dayOffset: -1, hourOffsets: [0] },
+        { dayOffset: 2, hourOffsets: [0] },
+        { dayOffset: -2, hourOffsets: [0] }
+      ];
+
+      for (const { dayOffset, hourOffsets } of searches) {
+        if (alternatives.length >= max) break;
+
+        const day = new Date(gameDate);
+        day.setDate(day.getDate() + dayOffset);
+        if (day < today) continue;
+
+        let availability;
+        try {
+          availability = await this._doGetDayAvailability(day, court);
+        } catch (error) {
+          console.log(`⚠️ Could not read ${day.toLocaleDateString()}: ${error.message}`);
+          continue;
+        }
+
+        const openStarts = new Set(availability.slots.filter(slot => !slot.full).map(slot => slot.minutes));
+
+        for (const hourOffset of hourOffsets) {
+          const start = startMinutes + hourOffset * 60;
+          if (start < 0 || start + duration > 24 * 60) continue;
+
+          const allOpen = starts.every(slotStart => openStarts.has(slotStart - startMinutes + start));
+          if (allOpen && alternatives.length < max) {
+            alternatives.push({
+              gameDate: day,
+              startMinutes: start,
+              endMinutes: start + duration,
+              label: `${day.toLocaleDateString()} ${this._minutesLabel(start)}–${this._minutesLabel(start + duration)}`
+            });
+          }
+        }
+      }
+
+      console.log(`💡 Found ${alternatives.length} alternative(s)`);
+      return alternatives;
+    });
+  }
+
+  /**
+   * Cancel every hourly reservation of a game. Returns { success, slots }
+   * where each slot is { minutes, label, status, message } and status is
+   * 'cancelled', 'not-found', 'unconfirmed', 'failed' or 'skipped'; partial
+   * is set when only some of them were released.
+   */
+  async cancelReservation(gameDate, timeRange, courtName = null) {
+    console.log(`🗑️  Cancelling reservation for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}-${timeRange.endDisplay}`);
+
+    // An unknown court only loses the court check, it doesn't block the cancel
+    const court = this.courts.resolve(courtName);
+
+    const unbookable = this._unbookableRangeMessage(timeRange);
+    if (unbookable) {
+      console.error(`❌ ${unbookable}`);
+      return { success: false, error: unbookable };
+    }
+
+    return await this._withRun('cancel', async () => {
+      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        try {
+          if (attempt > 1) {
+            console.log(`🔄 Retry attempt ${attempt}/${MAX_RETRIES}...`);
+            try { await this.close(); } catch (e) {}
+            await this.initialize();
+          }
+
+          return await this._doCancelReservation(gameDate, timeRange, court);
+        } catch (error) {
+          console.error(`❌ Cancel attempt ${attempt} failed: ${error.message}`);
+          if (attempt === MAX_RETRIES) {
+            let screenshot = null;
+            try { screenshot = await this._capture('cancel-error.png'); } catch (e) {}
+            return {
+              success: false,
+              error: error.message,
+              screenshot
+            };
+          }
+        }
+      }
+    });
+  }
+
+  async _doCancelReservation(gameDate, timeRange, court) {
+    const starts = this._slotStarts(timeRange);
+    const slots = [];
+
+    for (const [index, startMinutes] of starts.entries()) {
+      // A back-to-back reservation ("9:00 PM - 11:00 PM") goes with its first hour
+      const coveredBy = slots.find(slot =>
+        slot.status === 'cancelled' && slot.range && slot.range.start < startMinutes && startMinutes < slot.range.end
+      );
+      if (coveredBy) {
+        slots.push({ minutes: startMinutes, label: this._slotLabel(startMinutes), status: 'cancelled' });
+        continue;
+      }
+
+      let slot;
+      try {
+        slot = await this._cancelSlot(gameDate, startMinutes, court);
+      } catch (error) {
+        // Before anything is released the whole cancel can be retried;
+        // after that a retry would only find the released slots missing
+        if (!slots.some(slot => slot.status === 'cancelled')) throw error;
+
+        console.error(`❌ Cancelling ${this._slotLabel(startMinutes)} failed: ${error.message}`);
+        slot = {
+          minutes: startMinutes,
+          label: this._slotLabel(startMinutes),
+          status: 'failed',
+          message: error.message,
+          screenshot: await this.screenshot(`cancel-error-${this._fileSuffix(startMinutes)}.png`)
+        };
+      }
+      slots.push(slot);
+
+      if (slot.status === 'failed') {
+        for (const skipped of starts.slice(index + 1)) {
+          slots.push({
+            minutes: skipped,
+            label: this._slotLabel(skipped),
+            status: 'skipped',
+            message: 'Not tried after an earlier slot failed'
+          });
+        }
+        break;
+      }
+    }
+
+    const cancelled = slots.filter(slot => slot.status === 'cancelled');
+    const screenshot = [...slots].reverse().find(slot => slot.screenshot)?.screenshot || null;
+
+    if (cancelled.length === slots.length) {
+      console.log('✅ Reservation cancelled!');
+      return { success: true, slots, screenshot };
+    }
+
+    if (cancelled.length > 0) {
+      console.log(`⚠️ Partially cancelled: ${cancelled.length}/${slots.length} slots`);
+      return {
+        success: false,
+        partial: true,
+        slots,
+        message: `Only ${cancelled.length} of ${slots.length} hourly slots were cancelled`,
+        screenshot
+      };
+    }
+
+    if (slots.every(slot => slot.status === 'not-found')) {
+      return {
+        success: false,
+        notFound: true,
+        slots,
+        message: `No reservation found for ${gameDate.toLocaleDateString()} at ${timeRange.startDisplay}`,
+        screenshot
+      };
+    }
+
+    const failure = slots.find(slot => slot.status !== 'not-found');
+    return { success: false, slots, message: failure.message, screenshot: failure.screenshot || screenshot };
+  }
+
+  /**
+   * Cancel the reservation starting at one hourly slot.
+   * Returns { minutes, label, status, message, screenshot, range } where
+   * range is the cancelled entry's time span, when the list shows one.
+   */
+  async _cancelSlot(gameDate, startMinutes, court) {
+    const label = this._slotLabel(startMinutes);
+    const timeLabel = this._minutesLabel(startMinutes);
+    const fileSuffix = this._fileSuffix(startMinutes);
+
+    await this._openReservations();
+
+    const reservation = await this._findReservation(gameDate, startMinutes, court);
+    if (!reservation) {
+      console.log(`❌ No reservation found for ${gameDate.toLocaleDateString()} at ${timeLabel}`);
+      const screenshot = await this._capture(`reservation-not-found-${fileSuffix}.png`, { fullPage: true });
+      return {
+        minutes: startMinutes,
+        label,
+        status: 'not-found',
+        message: `No reservation found for ${gameDate.toLocaleDateString()} at ${timeLabel}`,
+        screenshot
+      };
+    }
+
+    console.log(`✅ Found reservation at ${timeLabel}, cancelling...`);
+    await reservation.entry.locator('a:has-text("Cancel"), button:has-text("Cancel")').first().click();
+    await this.page.waitForTimeout(1500);
+
+    // CourtReserve asks "Are you sure?" before releasing the court
+    const confirmSelectors = [
+      'button:has-text("Yes")', 'button:has-text("Cancel Reservation")',
+      'button:has-text("Confirm")', '.modal button:has-text("OK")'
+    ];
+
+    let confirmed = false;
+    for (const selector of confirmSelectors) {
+      try {
+        const element = await this.page.$(selector);
+        if (element) {
+          console.log(`✅ Found cancel confirmation button: ${selector}`);
+          await element.click();
+          confirmed = true;
+          await this.page.waitForTimeout(2000);
+          break;
+        }
+      } catch (e) {}
+    }
+
+    const screenshot = await this._capture(`cancel-confirmation-${fileSuffix}.png`, { fullPage: true });
+
+    if (!confirmed) {
+      console.log('⚠️ Could not find cancel confirmation button - check screenshots');
+      return {
+        minutes: startMinutes,
+        label,
+        status: 'unconfirmed',
+        message: 'Could not find cancel confirmation button',
+        screenshot
+      };
+    }
+
+    console.log(`✅ Cancelled ${label}`);
+    return { minutes: startMinutes, label, status: 'cancelled', screenshot, range: reservation.range };
+  }
+
+  /**
+   * Open the account's upcoming reservations list from the portal menu
+   */
+  async _openReservations() {
+    console.log('📋 Opening reservations list...');
+
+    await this._openPortalHome();
+
+    await this.page.click('a[href="#menu"]');
+    await this.page.waitForTimeout(800);
+
+    await this.page.click('a:has-text("My Reservations"), a:has-text("Reservations")');
+    await this.page.waitForLoadState('networkidle', { timeout: 15000 });
+    await this.page.waitForTimeout(1000);
+  }
+
+  /**
+   * Find the reservation entry for a date and start time (minutes since
+   * midnight) in the reservations list, on the given court when its config
+   * names one. Only an entry's start counts: the 10:00 PM slot must not
+   * match a "9:00 PM - 10:00 PM" entry.
+   * Returns { entry, text, range } with entry a locator, or null.
+   */
+  async _findReservation(gameDate, startMinutes, court = null) {
+    const month = gameDate.getMonth();
+    const day = gameDate.getDate();
+    const year = gameDate.getFullYear();
+
+    // The list has shown both "2/24/2026" and "Tue, Feb 24" styles
+    const datePattern = new RegExp(
+      `\\b0?${month + 1}/0?${day}/${year}\\b|\\b(${MONTH_NAMES[month]}|${SHORT_MONTH_NAMES[month]})\\.? ${day}\\b`,
+      'i'
+    );
+
+    // Containers match too, so keep only entries with no matching entry inside
+    const dated = () => this.page
+      .locator('.reservation-item, [class*="reservation"], tr, .card')
+      .filter({ hasText: datePattern });
+    const entries = dated().filter({ hasNot: dated() });
+
+    const count = await entries.count();
+    for (let i = 0; i < count; i++) {
+      const entry = entries.nth(i);
+      const text = await entry.innerText();
+      const range = this._rangeInText(text);
+      const start = range ? range.start : this._firstTimeInText(text);
+      if (start !== startMinutes) continue;
+
+      if (court && !this._matchesCourt(text, await entry.innerHTML(), court)) continue;
+
+      return { entry, text, range };
+    }
+    return null;
+  }
+
+  /**
+   * 24-hour time to the scheduler's label, e.g. 21 → "9:00 PM", (21, 30) → "9:30 PM"
+   */
+  _timeLabel(hour24, minute = 0) {
+    const displayHour = hour24 === 0 ? 12 : hour24 > 12 ? hour24 - 12 : hour24;
+    const amPm = hour24 >= 12 ? 'PM' : 'AM';
+    return `${displayHour}:${String(minute).padStart(2, '0')} ${amPm}`;
+  }
+
+  /**
+   * Minutes since midnight to the scheduler's label, e.g. 1290 → "9:30 PM"
+   */
+  _minutesLabel(minutes) {
+    return this._timeLabel(Math.floor(minutes / 60) % 24, minutes % 60);
+  }
+
+  // 1290 → "9:30 PM–10:30 PM", the one-hour slot starting then
+  _slotLabel(startMinutes) {
+    return `${this._minutesLabel(startMinutes)}–${this._minutesLabel(startMinutes + 60)}`;
+  }
+
+  // 1290 → "930pm", for screenshot names
+  _fileSuffix(minutes) {
+    const [clockLabel, amPm] = this._minutesLabel(minutes).split(' ');
+    return clockLabel.replace(':', '') + amPm.toLowerCase();
+  }
+
+  // "21:30" → 1290
+  _toMinutes(time24) {
+    const [hours, minutes] = time24.split(':').map(n => parseInt(n));
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Run one portal operation in its own artifacts folder. Its screenshots
+   * land there and an object result gets the folder as artifactsDir.
+   */
+  async _withRun(label, operation) {
+    this.artifacts.prune();
+    this.runDir = this.artifacts.startRun(label);
+    console.log(`📁 Artifacts: ${this.runDir}`);
+
+    try {
+      const result = await operation();
+      if (result && typeof result === 'object' && !Array.isArray(result)) {
+        return { ...result, artifactsDir: this.runDir };
+      }
+      return result;
+    } finally {
+      this.runDir = null;
+    }
+  }
+
+  /**
+   * Screenshot the page into the current run's folder; returns the file path.
+   * Outside an operation (a login on startup) it gets a "session" folder.
+   */
+  async _capture(filename, options = {}) {
+    const dir = this.runDir || this.artifacts.startRun('session');
+    const path = join(dir, filename);
+    await this.page.screenshot({ path, ...options });
+    return path;
+  }
+
+  // Calendar date as "2026-02-24", for file names
+  _isoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
   async screenshot(filename) {
     if (this.page) {
-      try { await this.page.screenshot({ path: filename }); } catch (e) {}
+      try { return await this._capture(filename); } catch (e) {}
     }
+    return null;
   }
 
   async close() {
@@ -0,0 +1,67 @@
+/**
+ * Dates and times as the facility sees them, whatever zone the server
+ * runs in. Set FACILITY_TIMEZONE to an IANA zone, e.g. "America/Los_Angeles".
+ *
+ * Calendar dates (game days) are plain Dates at local midnight that only
+ * carry a year, month and day. Instants (release times, expiries) are real
+ * points in time, converted to and from the facility's wall clock here.
+ */
+class FacilityClock {
+  constructor(timeZone = process.env.FACILITY_TIMEZONE || 'America/Los_Angeles') {
+    this.timeZone = timeZone;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+  }
+
+  /**
+   * The facility's current calendar date
+   */
+  today(now = new Date()) {
+    const { year, month, day } = this._wallClock(now);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * The instant the facility's clock reads hours:minutes on a calendar date
+   */
+  toInstant(calendarDate, hours = 0, minutes = 0) {
+    const wallTime = Date.UTC(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate(), hours, minutes);
+
+    // Guess with the offset at the wall time, then correct it once in case
+    // a DST change falls between the guess and the answer
+    let instant = wallTime - this._offsetMs(new Date(wallTime));
+    instant = wallTime - this._offsetMs(new Date(instant));
+    return new Date(instant);
+  }
+
+  // "2/24/2026, 9:00:00 PM" in the facility's zone
+  formatDateTime(instant) {
+    return instant.toLocaleString('en-US', { timeZone: this.timeZone });
+  }
+
+  // "9:00:00 PM" in the facility's zone
+  formatTime(instant) {
+    return instant.toLocaleTimeString('en-US', { timeZone: this.timeZone });
+  }
+
+  _wallClock(instant) {
+    return Object.fromEntries(
+      this.formatter.formatToParts(instant)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, parseInt(part.value)])
+    );
+  }
+
+  // How far the facility's clock is ahead of UTC at an instant
+  _offsetMs(instant) {
+    const { year, month, day, hour, minute, second } = this._wallClock(instant);
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallTime - Math.floor(instant.getTime() / 1000) * 1000;
+  }
+}
+
+export default FacilityClock;
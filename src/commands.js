@@ -0,0 +1,127 @@
+const ROLE_RANKS = { member: 0, admin: 1, owner: 2 };
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Registry and dispatcher for "!" commands.
+ *
+ * Each command declares:
+ *   name        - what follows the "!", e.g. "check"
+ *   aliases     - other names that run the same command
+ *   args        - argument syntax shown in help, e.g. "<date> <time>"
+ *   description - one line for !help
+ *   role        - lowest role allowed to run it: 'member', 'admin' or 'owner'
+ *   handler     - async ({ text, sender, ... }) => void
+ *
+ * Handlers always receive the text with the canonical name, so an alias
+ * parses the same as the command it stands for. Replies go back to the
+ * group the command came from.
+ */
+class CommandRouter {
+  constructor({ reply, getRole }) {
+    this.reply = reply;
+    this.getRole = getRole;
+    this.commands = [];
+  }
+
+  register(command) {
+    this.commands.push({ aliases: [], args: '', role: 'member', ...command });
+  }
+
+  find(name) {
+    const wanted = name.toLowerCase();
+    return this.commands.find(command =>
+      command.name === wanted || command.aliases.includes(wanted)
+    ) || null;
+  }
+
+  /**
+   * Route a "!" message to its command, replying for unknown commands and
+   * missing permissions
+   */
+  async dispatch(messageData) {
+    const match = messageData.text.trim().match(/^!([a-z][\w-]*)(.*)$/is);
+    if (!match) return;
+
+    const [, name, rest] = match;
+    const command = this.find(name);
+
+    if (!command) {
+      console.log(`❓ Unknown command: !${name}`);
+      const suggestion = this.suggest(name);
+      await this.reply(
+        messageData,
+        `❓ Unknown command "!${name}".` +
+        (suggestion ? ` Did you mean !${suggestion.name}?` : '') +
+        `\n\nSend !help to see what I understand.`
+      );
+      return;
+    }
+
+    const role = this.getRole(messageData);
+    if (!this.hasRole(role, command.role)) {
+      console.log(`🚫 ${messageData.senderName} (${role}) tried !${command.name}`);
+      await this.reply(messageData, `⚠️ !${command.name} is for ${command.role}s only.`);
+      return;
+    }
+
+    await command.handler({ ...messageData, text: `!${command.name}${rest}` });
+  }
+
+  /**
+   * Closest command to a mistyped name, or null when nothing is close
+   */
+  suggest(name) {
+    const wanted = name.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const command of this.commands) {
+      for (const candidate of [command.name, ...command.aliases]) {
+        const distance = candidate.startsWith(wanted) ? 0 : editDistance(wanted, candidate);
+        if (distance < bestDistance) {
+          best = command;
+          bestDistance = distance;
+        }
+      }
+    }
+
+    return bestDistance <= 2 ? best : null;
+  }
+
+  hasRole(role, requiredRole) {
+    return ROLE_RANKS[role] >= ROLE_RANKS[requiredRole];
+  }
+
+  helpText(role) {
+    const lines = this.commands.map(command => {
+      const usage = [`!${command.name}`, command.args].filter(Boolean).join(' ');
+      const locked = this.hasRole(role, command.role) ? '' : '🔒 ';
+      const aliases = command.aliases.length > 0 ? ` (also ${command.aliases.map(a => `!${a}`).join(', ')})` : '';
+      return `${locked}${usage} — ${command.description}${aliases}`;
+    });
+
+    return `🤖 BOT COMMANDS\n\n${lines.join('\n')}`;
+  }
+}
+
+export default CommandRouter;
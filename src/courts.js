@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Maps the court names used in announcements ("[Fmt Procourt]") to the
+ * CourtReserve menu entries and court used to book them.
+ *
+ * Loaded from courts.json in the project root, or COURTS_CONFIG if set.
+ * Each entry has:
+ *   name        - the name as written in announcements
+ *   aliases     - other spellings that mean the same court
+ *   menu        - the portal menu entry, e.g. "Book Basketball"
+ *   bookingType - the booking link under it, e.g. "Book a Full Court"
+ *   court       - optional scheduler court label to pick a specific court
+ *   courtId     - optional CourtReserve court ID, matched against slot links
+ */
+class CourtDirectory {
+  constructor(configPath = process.env.COURTS_CONFIG || join(__dirname, '..', 'courts.json')) {
+    const config = JSON.parse(readFileSync(configPath, 'utf8'));
+    this.courts = config.courts || [];
+    this.defaultCourt = config.defaultCourt || this.courts[0]?.name || null;
+  }
+
+  /**
+   * Look up a court by announcement name. No name means the default court.
+   * Returns null when the name isn't configured.
+   */
+  resolve(courtName) {
+    const wanted = this._normalize(courtName || this.defaultCourt || '');
+    return this.courts.find(court =>
+      [court.name, ...(court.aliases || [])].some(name => this._normalize(name) === wanted)
+    ) || null;
+  }
+
+  names() {
+    return this.courts.map(court => court.name);
+  }
+
+  _normalize(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+}
+
+export default CourtDirectory;
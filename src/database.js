@@ -52,27 +52,137 @@ class GameDatabase {
         UNIQUE(game_id, player_name)
       )
     `);
+
+    // Snipes: bookings scheduled for the moment the reservation window opens
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snipes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id INTEGER,
+        game_date TEXT NOT NULL,
+        game_time TEXT NOT NULL,
+        court_name TEXT,
+        target_date TEXT NOT NULL,
+        release_at DATETIME NOT NULL,
+        status TEXT DEFAULT 'scheduled',
+        requested_by TEXT,
+        result_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES games(id)
+      )
+    `);
+
+    // Watches: slots re-checked periodically until they open up
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS watches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_date TEXT NOT NULL,
+        game_time TEXT NOT NULL,
+        target_date TEXT NOT NULL,
+        interval_minutes INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        auto_book INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        created_by TEXT,
+        last_status TEXT,
+        last_checked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Admins: numbers allowed to trigger bookings and other state changes
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        whatsapp_number TEXT NOT NULL UNIQUE,
+        added_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Booking attempts: an audit trail of every booking run and its outcome
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS booking_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id INTEGER,
+        group_id TEXT,
+        triggered_by TEXT,
+        source TEXT NOT NULL,
+        game_date TEXT NOT NULL,
+        game_time TEXT NOT NULL,
+        court_name TEXT,
+        target_date TEXT,
+        outcome TEXT DEFAULT 'running',
+        message TEXT,
+        screenshots TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        FOREIGN KEY (game_id) REFERENCES games(id)
+      )
+    `);
+
+    // Processed messages: WhatsApp redelivers after a reconnect, so each
+    // message is handled once
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS processed_messages (
+        group_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, message_id)
+      )
+    `);
+
+    // Columns added after the first release
+    this.addColumnIfMissing('waitlist', 'whatsapp_number', 'TEXT');
+    this.addColumnIfMissing('games', 'group_id', 'TEXT');
+    this.addColumnIfMissing('snipes', 'group_id', 'TEXT');
+    this.addColumnIfMissing('watches', 'group_id', 'TEXT');
+    this.addColumnIfMissing('games', 'alerted_at', 'DATETIME');
+    this.addColumnIfMissing('booking_attempts', 'artifacts_dir', 'TEXT');
+    this.addColumnIfMissing('games', 'confirmation_number', 'TEXT');
+    this.addColumnIfMissing('players', 'promoted_at', 'DATETIME');
+    this.addColumnIfMissing('games', 'target_date', 'TEXT');
+  }
+
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   // Create or update a game session
   upsertGame(gameData) {
-    const { gameDate, gameTime, courtName, announcementMsgId } = gameData;
+    const { gameDate, targetDate, gameTime, courtName, announcementMsgId, groupId } = gameData;
     
     const stmt = this.db.prepare(`
-      INSERT INTO games (game_date, game_time, court_name, announcement_msg_id)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO games (game_date, target_date, game_time, court_name, announcement_msg_id, group_id)
+      VALUES (?, ?, ?, ?, ?, ?)
       ON CONFLICT(announcement_msg_id) DO UPDATE SET
         game_date = excluded.game_date,
+        target_date = excluded.target_date,
         game_time = excluded.game_time,
         court_name = excluded.court_name,
         updated_at = CURRENT_TIMESTAMP
       RETURNING id
     `);
     
-    const result = stmt.get(gameDate, gameTime, courtName, announcementMsgId);
+    const result = stmt.get(gameDate, targetDate, gameTime, courtName, announcementMsgId, groupId);
     return result.id;
   }
 
+  // Point an existing game at a newer announcement (a reposted list)
+  attachAnnouncement(gameId, courtName, announcementMsgId) {
+    const stmt = this.db.prepare(`
+      UPDATE games
+      SET court_name = COALESCE(?, court_name), announcement_msg_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(courtName, announcementMsgId, gameId);
+  }
+
   // Add a player to a game
   addPlayer(gameId, playerName, whatsappNumber = null) {
     try {
@@ -94,15 +204,16 @@ class GameDatabase {
     }
   }
 
-  // Remove a player from a game
-  removePlayer(gameId, playerName) {
+  // Remove a player from a game, matching by name or WhatsApp number
+  removePlayer(gameId, playerName, whatsappNumber = null) {
     const stmt = this.db.prepare(`
       DELETE FROM players 
-      WHERE game_id = ? AND player_name = ?
+      WHERE game_id = ? AND (player_name = ? OR (whatsapp_number IS NOT NULL AND whatsapp_number = ?))
     `);
     
-    stmt.run(gameId, playerName.trim());
+    const result = stmt.run(gameId, playerName.trim(), whatsappNumber);
     this.updatePlayerCount(gameId);
+    return result.changes > 0;
   }
 
   // Update the player count for a game
@@ -132,6 +243,15 @@ class GameDatabase {
     return result ? result.player_count : 0;
   }
 
+  // Get game by ID
+  getGameById(gameId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM games WHERE id = ?
+    `);
+    
+    return stmt.get(gameId);
+  }
+
   // Get game by announcement message ID
   getGameByMsgId(msgId) {
     const stmt = this.db.prepare(`
@@ -141,10 +261,63 @@ class GameDatabase {
     return stmt.get(msgId);
   }
 
+  // Get a group's games on or after an ISO date that are still being organised or already booked
+  getActiveGames(groupId, fromDate) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM games
+      WHERE group_id IS ? AND target_date >= ?
+        AND status IN ('pending', 'confirmed', 'booked', 'partial')
+    `);
+
+    return stmt.all(groupId, fromDate);
+  }
+
+  // Get a group's active game for an ISO date and time slot, newest first
+  getGameBySlot(groupId, targetDate, gameTime) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM games
+      WHERE group_id IS ? AND target_date = ? AND game_time = ?
+        AND status IN ('pending', 'confirmed', 'booked', 'partial')
+      ORDER BY id DESC
+      LIMIT 1
+    `);
+
+    return stmt.get(groupId, targetDate, gameTime);
+  }
+
+  // Get games saved before target_date existed
+  getGamesWithoutTargetDate() {
+    const stmt = this.db.prepare(`
+      SELECT id, game_date, created_at FROM games WHERE target_date IS NULL
+    `);
+
+    return stmt.all();
+  }
+
+  // Store the ISO date a game's announced date resolved to
+  setGameTargetDate(gameId, targetDate) {
+    const stmt = this.db.prepare(`
+      UPDATE games SET target_date = ? WHERE id = ?
+    `);
+
+    stmt.run(targetDate, gameId);
+  }
+
+  // Hand games, snipes and watches saved before groups existed to a group
+  adoptUngroupedRows(groupId) {
+    const adopt = this.db.transaction(() => {
+      for (const table of ['games', 'snipes', 'watches']) {
+        this.db.prepare(`UPDATE ${table} SET group_id = ? WHERE group_id IS NULL`).run(groupId);
+      }
+    });
+
+    adopt();
+  }
+
   // Get all players for a game
   getPlayers(gameId) {
     const stmt = this.db.prepare(`
-      SELECT player_name, committed_at FROM players 
+      SELECT player_name, whatsapp_number, committed_at, promoted_at FROM players 
       WHERE game_id = ? 
       ORDER BY committed_at ASC
     `);
@@ -152,6 +325,17 @@ class GameDatabase {
     return stmt.all(gameId);
   }
 
+  // Move a game to another date/time (an accepted alternative slot)
+  rescheduleGame(gameId, gameDate, targetDate, gameTime) {
+    const stmt = this.db.prepare(`
+      UPDATE games
+      SET game_date = ?, target_date = ?, game_time = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(gameDate, targetDate, gameTime, gameId);
+  }
+
   // Mark game as confirmed for booking
   confirmBooking(gameId) {
     const stmt = this.db.prepare(`
@@ -163,37 +347,79 @@ class GameDatabase {
     stmt.run(gameId);
   }
 
-  // Mark game as booked
-  markBooked(gameId) {
+  // Record that the "COURT BOOKING READY" alert went out for a game
+  markAlerted(gameId) {
+    const stmt = this.db.prepare(`
+      UPDATE games SET alerted_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+
+    stmt.run(gameId);
+  }
+
+  // Re-arm the alert, e.g. when the roster drops below the threshold
+  clearAlert(gameId) {
+    const stmt = this.db.prepare(`
+      UPDATE games SET alerted_at = NULL WHERE id = ?
+    `);
+
+    stmt.run(gameId);
+  }
+
+  // Mark game as booked, keeping the CourtReserve confirmation number if we have one
+  markBooked(gameId, confirmationNumber = null) {
+    const stmt = this.db.prepare(`
+      UPDATE games 
+      SET status = 'booked', confirmation_number = COALESCE(?, confirmation_number), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    
+    stmt.run(confirmationNumber, gameId);
+  }
+
+  // Mark game as partially booked (some hourly slots were taken)
+  markPartiallyBooked(gameId, confirmationNumber = null) {
+    const stmt = this.db.prepare(`
+      UPDATE games 
+      SET status = 'partial', confirmation_number = COALESCE(?, confirmation_number), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    
+    stmt.run(confirmationNumber, gameId);
+  }
+
+  // Mark game as cancelled (reservation released)
+  markCancelled(gameId) {
     const stmt = this.db.prepare(`
       UPDATE games 
-      SET status = 'booked', updated_at = CURRENT_TIMESTAMP
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
     
     stmt.run(gameId);
   }
 
-  // Get pending games that hit threshold but not confirmed
-  getPendingGames() {
+  // Get a group's pending games on or after an ISO date that hit its threshold but not confirmed
+  getPendingGames(groupId, playerThreshold, fromDate) {
     const stmt = this.db.prepare(`
       SELECT * FROM games 
-      WHERE player_count >= ? AND booking_confirmed = 0 AND status = 'pending'
+      WHERE group_id IS ? AND player_count >= ? AND booking_confirmed = 0 AND status = 'pending'
+        AND target_date >= ?
+      ORDER BY id ASC
     `);
     
-    return stmt.all(parseInt(process.env.PLAYER_THRESHOLD || 10));
+    return stmt.all(groupId, playerThreshold, fromDate);
   }
 
   // Add to waitlist
-  addToWaitlist(gameId, playerName) {
+  addToWaitlist(gameId, playerName, whatsappNumber = null) {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO waitlist (game_id, player_name)
-        VALUES (?, ?)
+        INSERT INTO waitlist (game_id, player_name, whatsapp_number)
+        VALUES (?, ?, ?)
         ON CONFLICT(game_id, player_name) DO NOTHING
       `);
       
-      stmt.run(gameId, playerName.trim());
+      stmt.run(gameId, playerName.trim(), whatsappNumber);
       return true;
     } catch (error) {
       console.error('Error adding to waitlist:', error);
@@ -201,17 +427,258 @@ class GameDatabase {
     }
   }
 
+  // Remove from waitlist, matching by name or WhatsApp number
+  removeFromWaitlist(gameId, playerName, whatsappNumber = null) {
+    const stmt = this.db.prepare(`
+      DELETE FROM waitlist
+      WHERE game_id = ? AND (player_name = ? OR (whatsapp_number IS NOT NULL AND whatsapp_number = ?))
+    `);
+
+    return stmt.run(gameId, playerName.trim(), whatsappNumber).changes > 0;
+  }
+
+  // Get the waitlist for a game, first come first served
+  getWaitlist(gameId) {
+    const stmt = this.db.prepare(`
+      SELECT player_name, whatsapp_number, added_at FROM waitlist
+      WHERE game_id = ?
+      ORDER BY added_at ASC, id ASC
+    `);
+
+    return stmt.all(gameId);
+  }
+
+  // Move the earliest waitlisted player into the game; returns them or null
+  promoteFromWaitlist(gameId) {
+    const promote = this.db.transaction(() => {
+      const next = this.db.prepare(`
+        SELECT id, player_name, whatsapp_number FROM waitlist
+        WHERE game_id = ?
+        ORDER BY added_at ASC, id ASC
+        LIMIT 1
+      `).get(gameId);
+
+      if (!next) return null;
+
+      this.db.prepare(`
+        INSERT INTO players (game_id, player_name, whatsapp_number, promoted_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(game_id, player_name) DO NOTHING
+      `).run(gameId, next.player_name, next.whatsapp_number);
+      this.db.prepare('DELETE FROM waitlist WHERE id = ?').run(next.id);
+      this.updatePlayerCount(gameId);
+
+      return { playerName: next.player_name, whatsappNumber: next.whatsapp_number };
+    });
+
+    return promote();
+  }
+
+  // Schedule a snipe; targetDate is YYYY-MM-DD, releaseAt an ISO timestamp
+  addSnipe(snipeData) {
+    const { gameId, gameDate, gameTime, courtName, targetDate, releaseAt, requestedBy, groupId } = snipeData;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO snipes (game_id, game_date, game_time, court_name, target_date, release_at, requested_by, group_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING *
+    `);
+
+    return stmt.get(gameId, gameDate, gameTime, courtName, targetDate, releaseAt, requestedBy, groupId);
+  }
+
+  // Snipes that still need to run (including ones interrupted by a restart)
+  getOpenSnipes() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM snipes
+      WHERE status IN ('scheduled', 'running')
+      ORDER BY release_at ASC
+    `);
+
+    return stmt.all();
+  }
+
+  updateSnipeStatus(snipeId, status, resultMessage = null) {
+    const stmt = this.db.prepare(`
+      UPDATE snipes
+      SET status = ?, result_message = COALESCE(?, result_message), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(status, resultMessage, snipeId);
+  }
+
+  // Register a watch; targetDate is YYYY-MM-DD, expiresAt an ISO timestamp
+  addWatch(watchData) {
+    const { gameDate, gameTime, targetDate, intervalMinutes, expiresAt, autoBook, createdBy, groupId } = watchData;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO watches (game_date, game_time, target_date, interval_minutes, expires_at, auto_book, created_by, group_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING *
+    `);
+
+    return stmt.get(gameDate, gameTime, targetDate, intervalMinutes, expiresAt, autoBook ? 1 : 0, createdBy, groupId);
+  }
+
+  getWatch(watchId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM watches WHERE id = ?
+    `);
+
+    return stmt.get(watchId);
+  }
+
+  getActiveWatches() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM watches
+      WHERE status = 'active'
+      ORDER BY target_date ASC, id ASC
+    `);
+
+    return stmt.all();
+  }
+
+  // Record the outcome of a periodic re-check
+  updateWatchCheck(watchId, lastStatus) {
+    const stmt = this.db.prepare(`
+      UPDATE watches
+      SET last_status = ?, last_checked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(lastStatus, watchId);
+  }
+
+  updateWatchStatus(watchId, status) {
+    const stmt = this.db.prepare(`
+      UPDATE watches
+      SET status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(status, watchId);
+  }
+
+  // Put a game back to pending after a failed booking so "BOOK IT" can retry it
+  reopenGame(gameId) {
+    const stmt = this.db.prepare(`
+      UPDATE games
+      SET booking_confirmed = 0, status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'confirmed'
+    `);
+
+    stmt.run(gameId);
+  }
+
+  // Add an admin; returns false if they already were one
+  addAdmin(whatsappNumber, addedBy = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO admins (whatsapp_number, added_by)
+      VALUES (?, ?)
+      ON CONFLICT(whatsapp_number) DO NOTHING
+    `);
+
+    return stmt.run(whatsappNumber, addedBy).changes > 0;
+  }
+
+  // Remove an admin; returns false if they weren't one
+  removeAdmin(whatsappNumber) {
+    const stmt = this.db.prepare(`
+      DELETE FROM admins WHERE whatsapp_number = ?
+    `);
+
+    return stmt.run(whatsappNumber).changes > 0;
+  }
+
+  getAdmins() {
+    const stmt = this.db.prepare(`
+      SELECT whatsapp_number, added_by, created_at FROM admins
+      ORDER BY created_at ASC, id ASC
+    `);
+
+    return stmt.all();
+  }
+
+  isAdmin(whatsappNumber) {
+    const stmt = this.db.prepare(`
+      SELECT 1 FROM admins WHERE whatsapp_number = ?
+    `);
+
+    return !!stmt.get(whatsappNumber);
+  }
+
+  // Record the start of a booking run; targetDate is YYYY-MM-DD. Returns the attempt ID
+  startBookingAttempt(attemptData) {
+    const { gameId, groupId, triggeredBy, source, gameDate, gameTime, courtName, targetDate } = attemptData;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO booking_attempts (game_id, group_id, triggered_by, source, game_date, game_time, court_name, target_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `);
+
+    return stmt.get(gameId, groupId, triggeredBy, source, gameDate, gameTime, courtName, targetDate).id;
+  }
+
+  // Record how a booking run ended; screenshots is a list of file paths
+  // inside the run's artifacts folder
+  finishBookingAttempt(attemptId, { outcome, message = null, screenshots = [], artifactsDir = null }) {
+    const stmt = this.db.prepare(`
+      UPDATE booking_attempts
+      SET outcome = ?, message = ?, screenshots = ?, artifacts_dir = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    stmt.run(outcome, message, JSON.stringify(screenshots), artifactsDir, attemptId);
+  }
+
+  // A group's booking attempts for a date (YYYY-MM-DD), oldest first
+  getBookingAttempts(groupId, targetDate) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM booking_attempts
+      WHERE group_id IS ? AND target_date = ?
+      ORDER BY started_at ASC, id ASC
+    `);
+
+    return stmt.all(groupId, targetDate).map(attempt => ({
+      ...attempt,
+      screenshots: attempt.screenshots ? JSON.parse(attempt.screenshots) : []
+    }));
+  }
+
+  // Claim a message for handling; returns false if it was already handled
+  markMessageProcessed(groupId, messageId) {
+    const stmt = this.db.prepare(`
+      INSERT INTO processed_messages (group_id, message_id)
+      VALUES (?, ?)
+      ON CONFLICT(group_id, message_id) DO NOTHING
+    `);
+
+    return stmt.run(groupId, messageId).changes > 0;
+  }
+
+  // Redeliveries only happen shortly after a reconnect, so old IDs can go
+  pruneProcessedMessages() {
+    const stmt = this.db.prepare(`
+      DELETE FROM processed_messages WHERE processed_at < datetime('now', '-7 days')
+    `);
+
+    const result = stmt.run();
+    console.log(`🧹 Pruned ${result.changes} processed message IDs`);
+  }
+
   /**
- * Clear old pending games that are in the past
+ * Clear old pending games created before a UTC "YYYY-MM-DD HH:MM:SS" timestamp
  */
-clearOldPendingGames() {
+clearOldPendingGames(createdBefore) {
     const stmt = this.db.prepare(`
       DELETE FROM games 
       WHERE status = 'pending' 
       AND booking_confirmed = 0
-      AND created_at < datetime('now', '-7 days')
+      AND created_at < ?
     `);
-    const result = stmt.run();
+    const result = stmt.run(createdBefore);
     console.log(`🧹 Cleared ${result.changes} old pending games`);
   }
 
@@ -0,0 +1,54 @@
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Settings for each WhatsApp group the bot watches.
+ *
+ * Loaded from groups.json in the project root, or GROUPS_CONFIG if set.
+ * Without one, the bot watches the single WHATSAPP_GROUP_ID group using
+ * the settings in .env. Each entry has:
+ *   id              - the group JID, e.g. "120363408893594113@g.us"
+ *   name            - label for logs, e.g. "Weeknight"
+ *   playerThreshold - players needed before the "BOOK IT" alert
+ *   defaultCourt    - court booked when an announcement doesn't name one
+ *   admins          - numbers that are admins in this group only
+ *   portalUrl       - CourtReserve portal of the facility the group books at
+ *
+ * Missing settings fall back to .env. The first group is the default, and
+ * owns games stored before groups existed.
+ */
+class GroupDirectory {
+  constructor(configPath = process.env.GROUPS_CONFIG || join(__dirname, '..', 'groups.json')) {
+    const config = existsSync(configPath) ? JSON.parse(readFileSync(configPath, 'utf8')) : {};
+    const groups = config.groups?.length > 0
+      ? config.groups
+      : [{ id: process.env.WHATSAPP_GROUP_ID || null, name: 'Default' }];
+
+    this.groups = groups.map(group => ({
+      name: group.id,
+      playerThreshold: parseInt(process.env.PLAYER_THRESHOLD || 10),
+      defaultCourt: null,
+      admins: [],
+      portalUrl: process.env.COURTRESERVE_PORTAL_URL,
+      ...group
+    }));
+    this.defaultGroup = this.groups[0];
+  }
+
+  /**
+   * Look up a group by JID. Returns null for groups that aren't configured.
+   */
+  get(groupId) {
+    return this.groups.find(group => group.id === groupId) || null;
+  }
+
+  ids() {
+    return this.groups.map(group => group.id).filter(id => id);
+  }
+}
+
+export default GroupDirectory;
@@ -1,61 +1,212 @@
 import dotenv from 'dotenv';
+import { basename, dirname } from 'path';
 import WhatsAppListener from './whatsapp.js';
 import MessageParser from './parser.js';
 import GameDatabase from './database.js';
 import CourtReserveBooker from './booking.js';
+import CourtDirectory from './courts.js';
+import GroupDirectory from './groups.js';
+import BrowserJobQueue from './queue.js';
+import CommandRouter from './commands.js';
+import Scheduler from './scheduler.js';
+import FacilityClock from './clock.js';
+import ArtifactStore from './artifacts.js';
 
 dotenv.config();
 
 class BasketballBookingBot {
   constructor() {
     this.db = new GameDatabase();
-    this.parser = new MessageParser();
-    this.whatsapp = new WhatsAppListener(this.handleMessage.bind(this));
+    this.clock = new FacilityClock();
+    this.parser = new MessageParser(this.clock);
+    this.courts = new CourtDirectory();
+    this.groups = new GroupDirectory();
+    this.artifacts = new ArtifactStore();
+    this.whatsapp = new WhatsAppListener(this.handleMessage.bind(this), this.groups.ids());
     this.booker = null;
-    this.PLAYER_THRESHOLD = parseInt(process.env.PLAYER_THRESHOLD || 10);
-    this.adminNumbers = (process.env.ADMIN_NUMBERS || '').split(',').filter(n => n);
-    this.alertedGames = new Set();
+    this.queue = new BrowserJobQueue();
+    this.scheduler = new Scheduler();
+    this.bookerIdleTimer = null;
+    this.keepBrowserWarm = process.env.KEEP_BROWSER_WARM === 'true';
+    this.browserIdleMinutes = parseInt(process.env.BROWSER_IDLE_MINUTES || 15);
+    this.bookingWindowDays = parseInt(process.env.BOOKING_WINDOW_DAYS || 7);
+    this.bookingReleaseTime = process.env.BOOKING_RELEASE_TIME || '00:00';
+    this.snipeLeadMinutes = parseInt(process.env.SNIPE_PRELOGIN_MINUTES || 2);
+    this.watchIntervalMinutes = parseInt(process.env.WATCH_INTERVAL_MINUTES || 10);
+    this.watchExpiryHours = parseInt(process.env.WATCH_EXPIRY_HOURS || 72);
+    // Rehearse every booking up to the final confirmation, without reserving
+    this.dryRun = process.env.DRY_RUN === 'true';
+    this.ownerNumbers = (process.env.OWNER_NUMBERS || '').split(',').map(n => n.trim()).filter(n => n);
+    this.pendingAlternatives = new Map();
+    this.commands = new CommandRouter({
+      reply: ({ group }, text) => this.whatsapp.sendMessage(group.id, text),
+      getRole: ({ sender, group }) => this.getRole(sender, group)
+    });
+    this.registerCommands();
+  }
+
+  registerCommands() {
+    this.commands.register({
+      name: 'help',
+      aliases: ['commands'],
+      description: 'Show this list',
+      handler: ({ sender, group }) => this.handleHelpCommand(sender, group)
+    });
+    this.commands.register({
+      name: 'status',
+      aliases: ['games', 'roster'],
+      args: '[date]',
+      description: 'Rosters, waitlists and booking state of upcoming games',
+      handler: ({ text, group }) => this.handleStatusCommand(text, group)
+    });
+    this.commands.register({
+      name: 'check',
+      args: '<date> <time>',
+      description: 'Check whether a court slot is open, e.g. !check 2/24 9-11p',
+      handler: ({ text, group }) => this.handleCheckCommand(text, group)
+    });
+    this.commands.register({
+      name: 'avail',
+      aliases: ['availability'],
+      args: '<date>',
+      description: 'Every open and full slot for a day',
+      handler: ({ text, group }) => this.handleAvailCommand(text, group)
+    });
+    this.commands.register({
+      name: 'watch',
+      args: '<date> <time> [auto]',
+      description: 'Alert the group when a full slot opens (auto-book: admins)',
+      handler: ({ text, sender, group }) => this.handleWatchCommand(text, sender, group)
+    });
+    this.commands.register({
+      name: 'watches',
+      description: 'List active watches',
+      handler: ({ group }) => this.handleListWatchesCommand(group)
+    });
+    this.commands.register({
+      name: 'unwatch',
+      args: '<number>',
+      description: 'Stop a watch',
+      handler: ({ text, sender, group }) => this.handleUnwatchCommand(text, sender, group)
+    });
+    this.commands.register({
+      name: 'book',
+      args: '[--dry-run] <date> <time>',
+      role: 'admin',
+      description: 'Book a slot now; --dry-run stops before confirming',
+      handler: ({ text, sender, group }) => this.handleBookCommand(text, sender, group)
+    });
+    this.commands.register({
+      name: 'snipe',
+      args: '<date> <time>',
+      role: 'admin',
+      description: 'Book a slot the moment its reservation window opens',
+      handler: ({ text, sender, group }) => this.handleSnipeCommand(text, sender, group)
+    });
+    this.commands.register({
+      name: 'history',
+      args: '<date>',
+      role: 'admin',
+      description: 'Every booking attempt for a date and how it went',
+      handler: ({ text, group }) => this.handleHistoryCommand(text, group)
+    });
+    this.commands.register({
+      name: 'admin',
+      args: 'add|remove|list [number]',
+      role: 'owner',
+      description: 'Manage who can book and cancel',
+      handler: ({ text, sender, group }) => this.handleAdminCommand(text, sender, group)
+    });
+    this.commands.register({
+      name: 'cancel',
+      args: '<date> <time>',
+      role: 'admin',
+      description: 'Cancel a CourtReserve reservation',
+      handler: ({ text, group }) => this.handleCancelCommand(text, group)
+    });
   }
 
   async start() {
     console.log('🏀 Basketball Booking Bot Starting...\n');
     console.log(`📊 Configuration:`);
-    console.log(`   - Player threshold: ${this.PLAYER_THRESHOLD}`);
-    console.log(`   - Group ID: ${process.env.WHATSAPP_GROUP_ID || 'Not configured'}`);
-    console.log(`   - Admin numbers: ${this.adminNumbers.length > 0 ? this.adminNumbers.join(', ') : 'None configured'}\n`);
+    for (const group of this.groups.groups) {
+      console.log(`   - Group ${group.name}: ${group.id || 'Not configured'} ` +
+        `(threshold ${group.playerThreshold}, court ${group.defaultCourt || this.courts.defaultCourt})`);
+    }
+    this.seedAdmins();
+    const admins = this.db.getAdmins().map(admin => admin.whatsapp_number);
+    console.log(`   - Owner numbers: ${this.ownerNumbers.length > 0 ? this.ownerNumbers.join(', ') : 'None configured'}`);
+    console.log(`   - Admin numbers: ${admins.length > 0 ? admins.join(', ') : 'None configured (bookings are disabled)'}`);
+    console.log(`   - Facility time zone: ${this.clock.timeZone} (now ${this.clock.formatDateTime(new Date())})`);
+    console.log(`   - Keep browser warm: ${this.keepBrowserWarm ? `yes (${this.browserIdleMinutes} min idle)` : 'no'}`);
+    console.log(`   - Booking window: ${this.bookingWindowDays} days ahead, opens at ${this.bookingReleaseTime}`);
+    console.log(`   - Dry run: ${this.dryRun ? 'yes (bookings stop before confirming)' : 'no'}`);
+    console.log(`   - Watches: every ${this.watchIntervalMinutes} min, expire after ${this.watchExpiryHours}h`);
+    console.log(`   - Artifacts: ${this.artifacts.root} (kept ${this.artifacts.retentionDays} days)\n`);
     await this.whatsapp.connect();
-    this.db.clearOldPendingGames();
+    if (this.groups.defaultGroup.id) {
+      this.db.adoptUngroupedRows(this.groups.defaultGroup.id);
+    }
+    this.backfillGameDates();
+    this.clearOldPendingGames();
+    this.db.pruneProcessedMessages();
+    this.artifacts.prune();
+    this.loadSnipes();
+    this.loadWatches();
   }
 
   async handleMessage(messageData) {
     const { messageId, text, sender, senderName } = messageData;
 
+    // Every reply and game belongs to the group the message came from
+    const group = this.groups.get(messageData.groupId);
+    if (!group) {
+      console.log(`⚠️  Ignoring message from unconfigured group ${messageData.groupId}`);
+      return;
+    }
+
+    // Claimed before handling, so a redelivery can't book twice even if
+    // the first delivery is still being worked on
+    if (!this.db.markMessageProcessed(group.id, messageId)) {
+      console.log(`♻️  Skipping already handled message ${messageId}`);
+      return;
+    }
+
     // Check for game announcement
     if (this.parser.isGameAnnouncement(text)) {
-      await this.handleGameAnnouncement(messageId, text);
+      await this.handleGameAnnouncement(messageId, text, group);
+      return;
+    }
+
+    // "!" commands go through the command router ("!!!" is just excitement)
+    if (/^![a-z]/i.test(text.trim())) {
+      await this.commands.dispatch({ ...messageData, group });
       return;
     }
 
-    // ─────────────────────────────────────────
-    // NEW: !check command handler added here
-    // ─────────────────────────────────────────
-    if (this.parser.isCheckCommand(text)) {
-      await this.handleCheckCommand(text);
+    if (this.parser.parseAlternativeChoice(text)) {
+      await this.handleAlternativeChoice(text, sender, group);
       return;
     }
 
     // Check for booking confirmation
-    if (this.isBookingConfirmation(text, sender)) {
-      await this.handleBookingConfirmation(text, sender);
+    if (this.isBookingConfirmation(text, sender, group)) {
+      await this.handleBookingConfirmation(text, sender, group);
+      return;
+    }
+
+    // Only whole-message replies ("I'm in", "-1", ...) change the roster
+    if (this.parser.isCancellation(text)) {
+      await this.handleCancellation(sender, senderName, group);
       return;
     }
 
     if (this.parser.isCommitment(text)) {
-      console.log(`✅ Commitment detected from ${senderName}`);
+      await this.handleCommitment(sender, senderName, group);
     }
   }
 
-  async handleGameAnnouncement(messageId, messageText) {
+  async handleGameAnnouncement(messageId, messageText, group) {
     console.log('\n🚨 Game announcement detected!');
 
     const parsed = this.parser.parseGameMessage(messageText);
@@ -65,34 +216,302 @@ class BasketballBookingBot {
     }
 
     const { gameInfo, players, waitlist, playerCount } = parsed;
+    const gameDate = this.parser.formatDateForBooking(gameInfo.date);
+    if (!gameDate) {
+      console.log(`⚠️  Announcement date ${gameInfo.date} is not a real date`);
+      return;
+    }
+    const targetDate = this.toIsoDate(gameDate);
     console.log(`📅 Game: ${gameInfo.date} ${gameInfo.dayOfWeek || ''} at ${gameInfo.time}`);
     console.log(`🏢 Court: ${gameInfo.courtName || 'Not specified'}`);
-    console.log(`👥 Players: ${playerCount}/${this.PLAYER_THRESHOLD}`);
+    console.log(`👥 Players: ${playerCount}/${group.playerThreshold}`);
 
-    const gameId = this.db.upsertGame({
-      gameDate: gameInfo.date,
-      gameTime: gameInfo.time,
-      courtName: gameInfo.courtName,
-      announcementMsgId: messageId
-    });
+    // A reposted list is a new message for a game we already track
+    const existingGame = this.db.getGameByMsgId(messageId) ||
+      this.db.getGameBySlot(group.id, targetDate, gameInfo.time);
+
+    let gameId;
+    if (existingGame) {
+      gameId = existingGame.id;
+      this.db.attachAnnouncement(gameId, gameInfo.courtName, messageId);
+    } else {
+      gameId = this.db.upsertGame({
+        gameDate: gameInfo.date,
+        targetDate,
+        gameTime: gameInfo.time,
+        courtName: gameInfo.courtName,
+        announcementMsgId: messageId,
+        groupId: group.id
+      });
+
+      // Flag unknown courts now rather than when someone says "BOOK IT"
+      const courtName = gameInfo.courtName || group.defaultCourt || this.courts.defaultCourt;
+      if (!this.courts.resolve(courtName)) {
+        await this.whatsapp.sendMessage(
+          group.id,
+          (courtName
+            ? `⚠️ I don't know the court "${courtName}", so I can't book it.\n\n`
+            : `⚠️ The announcement names no court and no default court is set, so I can't book it.\n\n`) +
+          `Known courts: ${this.courts.names().join(', ')}`
+        );
+      }
+
+      // "2/24 Wed" when 2/24 is a Tuesday: the date wins, but say so
+      const actualDay = this.parser.dayOfWeekMismatch(gameInfo.date, gameInfo.dayOfWeek);
+      if (actualDay) {
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ ${gameInfo.date} is a ${actualDay}, not ${gameInfo.dayOfWeek}.\n\n` +
+          `I'll go by the date (${actualDay} ${gameInfo.date}). Repost the list if that's wrong.`
+        );
+      }
+    }
+
+    const previousCount = this.db.getPlayerCount(gameId);
+    this.syncRoster(gameId, players, waitlist);
+
+    // Whoever dropped off the repost leaves a spot for the waitlist, unless
+    // the reposter already moved someone up themselves
+    const openSpots = existingGame ? previousCount - this.db.getPlayerCount(gameId) : 0;
+    for (let i = 0; i < openSpots; i++) {
+      if (!await this.promoteFromWaitlist(gameId)) break;
+    }
+
+    await this.checkThreshold(gameId, gameInfo);
+  }
+
+  async handleCommitment(sender, senderName, group) {
+    console.log(`✅ Commitment detected from ${senderName}`);
+
+    const game = this.getRelevantGame(group);
+    if (!game) {
+      console.log('⚠️  No upcoming game to add player to');
+      return;
+    }
+
+    // Someone already on the list as "Keeshan" replying as "Keeshan R" is one player
+    const listed = this.findRosterEntry(this.db.getPlayers(game.id), sender, senderName) ||
+      this.findRosterEntry(this.db.getWaitlist(game.id), sender, senderName);
+    if (listed) {
+      console.log(`ℹ️  ${senderName} is already listed as ${listed.player_name}`);
+      return;
+    }
+
+    // Nobody skips the queue: while anyone is waiting, a new "+1" waits too
+    const waitlist = this.db.getWaitlist(game.id);
+    if (waitlist.length > 0) {
+      this.db.addToWaitlist(game.id, senderName, sender);
+      console.log(`⏳ Added ${senderName} to the waitlist for ${game.game_date} ${game.game_time}`);
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⏳ @${sender} you're #${waitlist.length + 1} on the waitlist for ${game.game_date} at ${game.game_time}.`,
+        { mentions: [`${sender}@s.whatsapp.net`] }
+      );
+      return;
+    }
+
+    this.db.addPlayer(game.id, senderName, sender);
+    console.log(`➕ Added ${senderName} to ${game.game_date} ${game.game_time}`);
+
+    await this.checkThreshold(game.id, this.gameInfoFromRow(game));
+  }
+
+  async handleCancellation(sender, senderName, group) {
+    console.log(`❌ Cancellation detected from ${senderName}`);
+
+    const game = this.getRelevantGame(group);
+    if (!game) {
+      console.log('⚠️  No upcoming game to remove player from');
+      return;
+    }
+
+    const player = this.findRosterEntry(this.db.getPlayers(game.id), sender, senderName);
+    const removed = player && this.db.removePlayer(game.id, player.player_name, sender);
+    if (!removed) {
+      const waitlisted = this.findRosterEntry(this.db.getWaitlist(game.id), sender, senderName);
+      if (waitlisted && this.db.removeFromWaitlist(game.id, waitlisted.player_name, sender)) {
+        console.log(`➖ Removed ${senderName} from the waitlist for ${game.game_date} ${game.game_time}`);
+      } else {
+        console.log(`ℹ️  ${senderName} was not on the roster for ${game.game_date} ${game.game_time}`);
+      }
+      return;
+    }
+    console.log(`➖ Removed ${senderName} from ${game.game_date} ${game.game_time}`);
+
+    await this.promoteFromWaitlist(game.id);
+    await this.checkThreshold(game.id, this.gameInfoFromRow(game));
+  }
+
+  /**
+   * The roster or waitlist entry a chat reply is about: the sender's number,
+   * else their exact name, else the one entry their name is a variant of.
+   * Entries with someone else's number never match by name.
+   */
+  findRosterEntry(entries, sender, senderName) {
+    const byNumber = entries.find(entry => entry.whatsapp_number && entry.whatsapp_number === sender);
+    if (byNumber) return byNumber;
+
+    return this.findEntryByName(entries.filter(entry => !entry.whatsapp_number), senderName);
+  }
+
+  // The entry with exactly this name, else the one entry it is a variant of
+  findEntryByName(entries, name) {
+    const exact = entries.find(entry => entry.player_name.toLowerCase() === name.trim().toLowerCase());
+    if (exact) return exact;
+
+    const variants = entries.filter(entry => this.parser.isNameVariant(entry.player_name, name));
+    return variants.length === 1 ? variants[0] : null;
+  }
+
+  /**
+   * Make the stored roster match a posted list. Players who joined with a
+   * chat reply (and so have a number on file) are left alone, on the roster
+   * or the waitlist; only their own "I'm out" removes them, and a listed
+   * name that is theirs ("Keeshan" for "Keeshan R") isn't added again.
+   * Players we promoted off the waitlist stay in even if a repost still
+   * shows them waitlisted, and leave only when the list drops them altogether.
+   */
+  syncRoster(gameId, players, waitlist) {
+    const listedPlayers = new Set(players.map(name => name.trim()));
+    const listedWaitlist = new Set(waitlist.map(name => name.trim()));
+    const promoted = new Set();
+    const joinedByChat = this.db.getPlayers(gameId).filter(player => player.whatsapp_number);
+    const waitingByChat = this.db.getWaitlist(gameId).filter(entry => entry.whatsapp_number);
+
+    for (const player of this.db.getPlayers(gameId)) {
+      if (player.whatsapp_number || listedPlayers.has(player.player_name)) continue;
+
+      if (player.promoted_at && listedWaitlist.has(player.player_name)) {
+        promoted.add(player.player_name);
+      } else {
+        this.db.removePlayer(gameId, player.player_name);
+        console.log(`➖ ${player.player_name} is no longer on the list`);
+      }
+    }
+    for (const entry of this.db.getWaitlist(gameId)) {
+      if (!entry.whatsapp_number && !listedWaitlist.has(entry.player_name)) {
+        this.db.removeFromWaitlist(gameId, entry.player_name);
+      }
+    }
 
     for (const playerName of players) {
+      if (this.findEntryByName(joinedByChat, playerName)) continue;
+
+      // The organizer moved a chat-waitlisted player up themselves
+      const waiting = this.findEntryByName(waitingByChat, playerName);
+      if (waiting) {
+        this.db.removeFromWaitlist(gameId, waiting.player_name, waiting.whatsapp_number);
+        this.db.addPlayer(gameId, waiting.player_name, waiting.whatsapp_number);
+        continue;
+      }
+
       this.db.addPlayer(gameId, playerName);
     }
     for (const playerName of waitlist) {
+      const name = playerName.trim();
+      if (listedPlayers.has(name) || promoted.has(name)) continue;
+      if (this.findEntryByName(joinedByChat, name) || this.findEntryByName(waitingByChat, name)) continue;
+
       this.db.addToWaitlist(gameId, playerName);
     }
+  }
+
+  async promoteFromWaitlist(gameId) {
+    const promoted = this.db.promoteFromWaitlist(gameId);
+    if (!promoted) return null;
+
+    const game = this.db.getGameById(gameId);
+    const group = this.groupOf(game);
+    console.log(`⬆️  Promoted ${promoted.playerName} from the waitlist`);
+
+    // A real mention needs the number; list-only names get a plain @name
+    const mention = promoted.whatsappNumber ? `@${promoted.whatsappNumber}` : `@${promoted.playerName}`;
+    const mentions = promoted.whatsappNumber ? [`${promoted.whatsappNumber}@s.whatsapp.net`] : [];
+
+    await this.whatsapp.sendMessage(
+      group.id,
+      `🎉 ${mention} you're off the waitlist!\n\n` +
+      `A spot opened up for:\n` +
+      `📅 ${game.game_date} at ${game.game_time}\n` +
+      `🏢 ${game.court_name || 'Court TBD'}\n\n` +
+      `Reply "I'm out" if you can't make it.`,
+      { mentions }
+    );
+    return promoted;
+  }
+
+  /**
+   * The game a standalone "I'm in" / "I'm out" refers to: the group's
+   * soonest active game, preferring the latest announcement when dates tie.
+   */
+  getRelevantGame(group) {
+    return this.getUpcomingGames(group)[0] || null;
+  }
+
+  // A group's active games from today (facility time) on, soonest first
+  getUpcomingGames(group) {
+    return this.sortGamesByDate(this.db.getActiveGames(group.id, this.toIsoDate(this.clock.today())));
+  }
+
+  // Find a group's upcoming game for a date/time typed in a command ("2/24", "9-11p")
+  findGame(group, date, time) {
+    return this.getUpcomingGames(group).find(game =>
+      this.isGameOn(game, date) &&
+      this.parser.isSameTimeRange(game.game_time, time)
+    ) || null;
+  }
+
+  // Whether a stored game falls on a date typed in a command
+  isGameOn(game, date) {
+    const gameDate = this.parser.formatDateForBooking(date);
+    return Boolean(gameDate) && game.target_date === this.toIsoDate(gameDate);
+  }
+
+  sortGamesByDate(games) {
+    return [...games].sort((a, b) =>
+      a.target_date.localeCompare(b.target_date) || (b.id - a.id)
+    );
+  }
+
+  // The group a game, snipe or watch belongs to
+  groupOf(row) {
+    return this.groups.get(row.group_id) || this.groups.defaultGroup;
+  }
+
+  // A game row for a slot the group has no announced game for
+  adHocGame(group, gameDate, gameTime, courtName = null) {
+    return { id: null, game_date: gameDate, game_time: gameTime, court_name: courtName, group_id: group.id };
+  }
+
+  gameInfoFromRow(game) {
+    return {
+      date: game.game_date,
+      dayOfWeek: null,
+      time: game.game_time,
+      courtName: game.court_name
+    };
+  }
 
+  async checkThreshold(gameId, gameInfo) {
+    const game = this.db.getGameById(gameId);
+    const group = this.groupOf(game);
     const currentCount = this.db.getPlayerCount(gameId);
-    console.log(`✅ Updated player count: ${currentCount}/${this.PLAYER_THRESHOLD}`);
+    console.log(`✅ Updated player count: ${currentCount}/${group.playerThreshold}`);
+
+    // Dropping back below the threshold re-arms the alert for the next crossing
+    if (currentCount < group.playerThreshold) {
+      if (game.alerted_at) this.db.clearAlert(gameId);
+      return;
+    }
 
-    if (currentCount >= this.PLAYER_THRESHOLD && !this.alertedGames.has(gameId)) {
-      await this.sendThresholdAlert(gameId, gameInfo, currentCount);
-      this.alertedGames.add(gameId);
+    // Only games still waiting on a "BOOK IT" need the alert
+    if (game.status === 'pending' && !game.alerted_at) {
+      this.db.markAlerted(gameId);
+      await this.sendThresholdAlert(group, gameId, gameInfo, currentCount);
     }
   }
 
-  async sendThresholdAlert(gameId, gameInfo, playerCount) {
+  async sendThresholdAlert(group, gameId, gameInfo, playerCount) {
     console.log('\n🎉 THRESHOLD REACHED!');
 
     const players = this.db.getPlayers(gameId);
@@ -110,48 +529,273 @@ ${playerList}
 
 ⚠️ READY TO BOOK! Reply with "BOOK IT" to confirm the reservation.`;
 
-    await this.whatsapp.sendMessage(alertMessage);
+    await this.whatsapp.sendMessage(group.id, alertMessage);
     console.log('✅ Alert sent to group!');
   }
 
-  isBookingConfirmation(text, sender) {
+  // ─────────────────────────────────────────────────────────────
+  // Roles: owners (OWNER_NUMBERS) manage admins, admins (in the DB,
+  // or a group's "admins" setting) trigger bookings. Nobody is an
+  // admin by default.
+  // ─────────────────────────────────────────────────────────────
+
+  getRole(sender, group) {
+    if (this.ownerNumbers.includes(sender)) return 'owner';
+    if (this.db.isAdmin(sender) || group.admins.includes(sender)) return 'admin';
+    return 'member';
+  }
+
+  isAdmin(sender, group) {
+    return this.commands.hasRole(this.getRole(sender, group), 'admin');
+  }
+
+  // ADMIN_NUMBERS from .env seeds the admins table the first time only;
+  // after that the table (edited with !admin) is the source of truth
+  seedAdmins() {
+    if (this.db.getAdmins().length > 0) return;
+
+    const envAdmins = (process.env.ADMIN_NUMBERS || '').split(',').map(n => n.trim()).filter(n => n);
+    for (const number of envAdmins) {
+      this.db.addAdmin(number, 'ADMIN_NUMBERS');
+    }
+    if (envAdmins.length > 0) {
+      console.log(`👮 Imported ${envAdmins.length} admin(s) from ADMIN_NUMBERS`);
+    }
+  }
+
+  async handleAdminCommand(messageText, sender, group) {
+    console.log('\n👮 Admin command received!');
+
+    const parsed = this.parser.parseAdminCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid admin format. Use:\n\n` +
+        `!admin list\n` +
+        `!admin add 15551234567\n` +
+        `!admin remove 15551234567`
+      );
+      return;
+    }
+
+    const { action, number } = parsed;
+
+    if (action === 'list') {
+      const admins = this.db.getAdmins();
+      const adminList = admins.length > 0
+        ? admins.map((admin, i) => `${i + 1}. ${admin.whatsapp_number}`).join('\n')
+        : 'None — nobody can trigger bookings yet.';
+      const ownerList = this.ownerNumbers.length > 0 ? this.ownerNumbers.join(', ') : 'None';
+      await this.whatsapp.sendMessage(group.id, `👮 ADMINS\n\n${adminList}\n\nOwners: ${ownerList}`);
+      return;
+    }
+
+    if (action === 'add') {
+      const added = this.db.addAdmin(number, sender);
+      await this.whatsapp.sendMessage(group.id, added ? `✅ ${number} is now an admin.` : `ℹ️ ${number} is already an admin.`);
+      return;
+    }
+
+    const removed = this.db.removeAdmin(number);
+    await this.whatsapp.sendMessage(group.id, removed ? `✅ ${number} is no longer an admin.` : `ℹ️ ${number} wasn't an admin.`);
+  }
+
+  isBookingConfirmation(text, sender, group) {
     const confirmText = text.toLowerCase().trim();
-    const isAdmin = this.adminNumbers.length === 0 || this.adminNumbers.includes(sender);
+    const isAdmin = this.isAdmin(sender, group);
     const confirmationPhrases = ['book it', 'book the court', 'confirm booking', 'yes book', 'go ahead'];
     const isConfirmation = confirmationPhrases.some(phrase => confirmText.includes(phrase));
+    if (isConfirmation && !isAdmin && this.db.getAdmins().length === 0 && group.admins.length === 0) {
+      console.log('⚠️  Booking confirmation ignored: no admins configured (an owner can add one with !admin add)');
+    }
     return isAdmin && isConfirmation;
   }
 
-  async handleBookingConfirmation(text, sender) {
+  async handleBookingConfirmation(text, sender, group) {
     console.log('\n✅ Booking confirmation received!');
 
-    const pendingGames = this.db.getPendingGames();
+    const pendingGames = this.sortGamesByDate(
+      this.db.getPendingGames(group.id, group.playerThreshold, this.toIsoDate(this.clock.today()))
+    );
     if (pendingGames.length === 0) {
-      await this.whatsapp.sendMessage('⚠️ No games are ready for booking right now.');
+      await this.whatsapp.sendMessage(group.id, '⚠️ No games are ready for booking right now.');
+      return;
+    }
+
+    const target = this.parser.parseBookingTarget(text);
+    let candidates = pendingGames;
+    // "BOOK IT 0" picks nothing and gets the numbered list back
+    if (target?.index !== undefined) {
+      candidates = pendingGames.slice(target.index - 1, target.index);
+    } else if (target) {
+      candidates = pendingGames.filter(game =>
+        this.isGameOn(game, target.date) &&
+        (!target.time || this.parser.isSameTimeRange(game.game_time, target.time))
+      );
+    }
+
+    if (candidates.length === 0) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ No pending game matches that.\n\n` +
+        `Games ready for booking:\n${this.formatPendingList(pendingGames, pendingGames)}\n\n` +
+        `Reply "BOOK IT 1" or "BOOK IT 2/24 9-11p" to pick one.`
+      );
+      return;
+    }
+
+    if (candidates.length > 1) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `🤔 More than one game is ready for booking. Which one?\n\n` +
+        `${this.formatPendingList(candidates, pendingGames)}\n\n` +
+        `Reply "BOOK IT 1" or "BOOK IT 2/24 9-11p" to pick one.`
+      );
       return;
     }
 
-    const game = pendingGames[0];
-    await this.whatsapp.sendMessage('🔄 Processing your booking request...');
+    // Confirm before the first await so a second "BOOK IT" can't pick the same game
+    const game = candidates[0];
     this.db.confirmBooking(game.id);
+    await this.whatsapp.sendMessage(group.id, '🔄 Processing your booking request...');
+
+    const result = await this.performBooking(game, { triggeredBy: sender, source: 'book-it' });
+    this.recordBookingResult(game.id, result);
+  }
 
-    const success = await this.performBooking(game);
-    if (success) {
-      this.db.markBooked(game.id);
+  // ─────────────────────────────────────────────────────────────
+  // Alternatives: nearby open slots offered when a slot is full
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Search around a full slot and offer a numbered list the admins can
+   * accept with "book <n>". Only the latest list per group is kept.
+   */
+  async suggestAlternatives(game, gameDate, timeRange) {
+    const group = this.groupOf(game);
+    await this.whatsapp.sendMessage(group.id, '🔎 Looking for nearby open times...');
+
+    let alternatives;
+    try {
+      alternatives = await this.runBrowserJob(
+        group,
+        `alternatives:${this.slotKey(group, gameDate, timeRange, game.court_name)}`,
+        `the search for alternatives to ${game.game_date} ${game.game_time}`,
+        booker => booker.findAlternatives(gameDate, timeRange, game.court_name || group.defaultCourt)
+      );
+    } catch (error) {
+      console.error('❌ Alternative search error:', error);
+      alternatives = [];
+    }
+    if (!alternatives) return;
+
+    if (alternatives.length === 0) {
+      this.pendingAlternatives.delete(group.id);
+      await this.whatsapp.sendMessage(
+        group.id,
+        `😕 No open alternatives within 2 hours or 2 days of ${game.game_date} ${game.game_time}.`
+      );
+      return;
+    }
+
+    const options = alternatives.map(alternative => ({
+      date: this.parser.formatShortDate(alternative.gameDate),
+      time: this.parser.formatTimeRange(alternative.startMinutes, alternative.endMinutes),
+      gameDate: alternative.gameDate,
+      label: alternative.label
+    }));
+    this.pendingAlternatives.set(group.id, { game, options, offeredAt: Date.now() });
+
+    const lines = options.map((option, i) => `${i + 1}. ${option.date} ${option.time} (${option.label})`);
+    await this.whatsapp.sendMessage(
+      group.id,
+      `💡 OPEN ALTERNATIVES\n\n` +
+      `${lines.join('\n')}\n\n` +
+      `Reply "book 1" (etc.) to grab one.`
+    );
+  }
+
+  async handleAlternativeChoice(text, sender, group) {
+    if (!this.isAdmin(sender, group)) {
+      await this.whatsapp.sendMessage(group.id, '⚠️ Only admins can book an alternative.');
+      return;
+    }
+
+    // Availability moves fast, so an old list isn't worth acting on
+    const maxAgeMs = 30 * 60 * 1000;
+    const offer = this.pendingAlternatives.get(group.id);
+    if (!offer || Date.now() - offer.offeredAt > maxAgeMs) {
+      await this.whatsapp.sendMessage(group.id, '⚠️ There are no alternatives on offer right now.');
+      return;
+    }
+
+    const { choice } = this.parser.parseAlternativeChoice(text);
+    const option = offer.options[choice - 1];
+    if (!option) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Pick a number between 1 and ${offer.options.length}.`);
+      return;
     }
+    this.pendingAlternatives.delete(group.id);
+
+    // Only move a game that isn't already holding a reservation, and never
+    // in a dry run: a rehearsal must leave the real game where it is
+    let game = offer.game.id && !this.dryRun ? this.db.getGameById(offer.game.id) : null;
+    if (game && !['booked', 'partial'].includes(game.status)) {
+      this.db.rescheduleGame(game.id, option.date, this.toIsoDate(option.gameDate), option.time);
+      if (game.status === 'pending') this.db.confirmBooking(game.id);
+      game = this.db.getGameById(game.id);
+    } else {
+      game = this.adHocGame(group, option.date, option.time, offer.game.court_name);
+    }
+
+    await this.whatsapp.sendMessage(group.id, `🔄 Booking ${option.date} ${option.time} instead...`);
+    const result = await this.performBooking(game, {
+      gameDate: option.gameDate,
+      triggeredBy: sender,
+      source: 'alternative'
+    });
+    this.recordBookingResult(game.id, result);
+  }
+
+  recordBookingResult(gameId, result) {
+    // Another job owns the game: reopening it would let a second "BOOK IT" in
+    if (!gameId || result.duplicate || result.alreadyOurs) return;
+    const confirmationNumber = result.confirmationNumbers?.length ? result.confirmationNumbers.join(', ') : null;
+    if (result.success) {
+      this.db.markBooked(gameId, confirmationNumber);
+    } else if (result.partial) {
+      this.db.markPartiallyBooked(gameId, confirmationNumber);
+    } else if (result.unverified) {
+      // Left confirmed: the court may be ours, so it mustn't be offered for booking again
+      console.log(`⚠️ Game ${gameId} left confirmed until someone checks My Reservations`);
+    } else {
+      this.db.reopenGame(gameId);
+    }
+  }
+
+  /**
+   * Numbered list of games, numbered by their position in the full
+   * pending list so "BOOK IT <n>" always means the same game.
+   */
+  formatPendingList(games, pendingGames) {
+    return games.map(game => {
+      const number = pendingGames.indexOf(game) + 1;
+      return `${number}. ${game.game_date} at ${game.game_time} — ${game.court_name || 'Court TBD'} (${game.player_count} players)`;
+    }).join('\n');
   }
 
   // ─────────────────────────────────────────────────────────────
   // NEW: handleCheckCommand() added below handleBookingConfirmation
   // ─────────────────────────────────────────────────────────────
 
-  async handleCheckCommand(messageText) {
+  async handleCheckCommand(messageText, group) {
     console.log('\n🔍 Check command received!');
 
     const parsed = this.parser.parseCheckCommand(messageText);
 
     if (!parsed) {
       await this.whatsapp.sendMessage(
+        group.id,
         `⚠️ Invalid check format. Use:\n\n` +
         `!check 2/24 9-11p\n\n` +
         `Example: !check 2/24 9-11p`
@@ -160,30 +804,28 @@ ${playerList}
     }
 
     const { date, time } = parsed;
-    await this.whatsapp.sendMessage(`🔍 Checking availability for ${date} at ${time}...`);
+    await this.whatsapp.sendMessage(group.id, `🔍 Checking availability for ${date} at ${time}...`);
 
     try {
-      if (this.booker) {
-        try { await this.booker.close(); } catch (e) {}
-      }
-      this.booker = new CourtReserveBooker();
-      await this.booker.initialize();
-
       const gameDate = this.parser.formatDateForBooking(date);
       const timeRange = this.parser.parseTimeRange(time);
 
       if (!timeRange) {
-        await this.whatsapp.sendMessage(`⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
+        await this.whatsapp.sendMessage(group.id, `⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
         return;
       }
 
-      const result = await this.booker.checkAvailability(gameDate, timeRange);
-
-      try { await this.booker.close(); } catch (e) {}
-      this.booker = null;
+      const result = await this.runBrowserJob(
+        group,
+        `check:${this.slotKey(group, gameDate, timeRange)}`,
+        `the check for ${date} at ${time}`,
+        booker => booker.checkAvailability(gameDate, timeRange, group.defaultCourt)
+      );
+      if (!result) return;
 
       if (result.status === 'available') {
         await this.whatsapp.sendMessage(
+          group.id,
           `✅ COURT AVAILABLE! 🏀\n\n` +
           `📅 ${date}\n` +
           `🕐 ${time}\n\n` +
@@ -191,123 +833,1079 @@ ${playerList}
         );
       } else if (result.status === 'unavailable') {
         await this.whatsapp.sendMessage(
+          group.id,
           `❌ COURT UNAVAILABLE 😬\n\n` +
           `📅 ${date}\n` +
           `🕐 ${time}\n\n` +
           `The ${result.timeLabel} slot is already fully booked.`
         );
+      } else if (result.status === 'unsupported') {
+        await this.whatsapp.sendMessage(group.id, `⚠️ Can't check ${date} at ${time}: ${result.message}.`);
       } else {
         await this.whatsapp.sendMessage(
+          group.id,
           `⚠️ Could not determine availability for ${date} at ${time}.\n\nPlease check manually.`
         );
       }
 
       if (result.screenshot) {
         await this.whatsapp.sendImage(
+          group.id,
           result.screenshot,
           `📅 Court availability for ${date} at ${time}`
         );
       }
 
+      if (result.status === 'unavailable') {
+        const game = this.findGame(group, date, time) || this.adHocGame(group, date, time);
+        await this.suggestAlternatives(game, gameDate, timeRange);
+      }
+
     } catch (error) {
       console.error('❌ Check command error:', error);
-      if (this.booker) {
-        try { await this.booker.close(); } catch (e) {}
-        this.booker = null;
-      }
       await this.whatsapp.sendMessage(
+        group.id,
         `❌ Error checking availability. Please check manually.\n\nError: ${error.message}`
       );
     }
   }
 
-  async performBooking(game) {
-    console.log('\n🎯 Starting booking process...');
+  async handleHelpCommand(sender, group) {
+    const role = this.getRole(sender, group);
+    await this.whatsapp.sendMessage(
+      group.id,
+      `${this.commands.helpText(role)}\n\n` +
+      `Dates look like 2/24, Feb 24, tue or tomorrow; times like 9-11p. 🔒 = admins only.\n\n` +
+      `Also:\n` +
+      `• "I'm in" / "I'm out" — join or leave the next game\n` +
+      `• "BOOK IT" — book a game that has enough players (admins)`
+    );
+  }
 
-    try {
-      if (this.booker) {
-        try { await this.booker.close(); } catch (e) {}
-      }
-      this.booker = new CourtReserveBooker();
-      await this.booker.initialize();
+  async handleStatusCommand(messageText, group) {
+    console.log('\n📋 Status command received!');
 
-      const gameDate = this.parser.formatDateForBooking(game.game_date);
-      const timeRange = this.parser.parseTimeRange(game.game_time);
+    const parsed = this.parser.parseStatusCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid status format. Use:\n\n` +
+        `!status\n` +
+        `!status 2/24`
+      );
+      return;
+    }
 
-      if (!timeRange) {
-        console.error('❌ Could not parse time range');
-        await this.whatsapp.sendMessage('❌ Could not parse game time. Please book manually.');
-        return false;
-      }
+    const { date } = parsed;
+    let games = this.getUpcomingGames(group);
+    if (date) {
+      games = games.filter(game => this.isGameOn(game, date));
+    }
 
-      console.log(`📅 Booking for: ${gameDate.toLocaleDateString()}`);
-      console.log(`🕐 Time: ${timeRange.startDisplay} - ${timeRange.endDisplay}`);
+    if (games.length === 0) {
+      await this.whatsapp.sendMessage(group.id, date ? `📋 No game on ${date}.` : '📋 No upcoming games.');
+      return;
+    }
 
-      const result = await this.booker.bookCourt(gameDate, timeRange, game.court_name);
+    await this.whatsapp.sendMessage(group.id, games.map(game => this.formatGameStatus(game)).join('\n\n━━━━━━━━━━\n\n'));
+  }
 
-      try { await this.booker.close(); } catch (e) {}
-      this.booker = null;
+  formatGameStatus(game) {
+    const statusLabels = {
+      pending: '⏳ pending',
+      confirmed: '🔄 confirmed (booking in progress)',
+      booked: '✅ booked',
+      partial: '⚠️ partially booked'
+    };
 
-      if (result.success) {
-        console.log('✅ Booking successful!');
-        await this.whatsapp.sendMessage(
-          `✅ COURT BOOKED! 🏀\n\n` +
-          `📅 ${game.game_date} at ${game.game_time}\n` +
-          `🏢 ${game.court_name || 'Court'}\n\n` +
-          `See you on the court!`
-        );
-        if (result.screenshots?.confirmation) {
-          await this.whatsapp.sendImage(result.screenshots.confirmation, '📋 Booking confirmation');
-        }
-        if (result.screenshots?.calendar) {
-          await this.whatsapp.sendImage(result.screenshots.calendar, '📅 Court calendar - your slot is booked!');
-        }
-        return true;
+    const players = this.db.getPlayers(game.id);
+    const waitlist = this.db.getWaitlist(game.id);
 
-      } else if (result.alreadyBooked) {
-        console.log('❌ Slot is already fully booked!');
-        await this.whatsapp.sendMessage(
-          `⚠️ COURT UNAVAILABLE! 😬\n\n` +
-          `The ${game.game_time} slot on ${game.game_date} is already fully booked.\n\n` +
-          `❌ Please check for another time or date.`
-        );
-        if (result.screenshots?.failure) {
-          await this.whatsapp.sendImage(result.screenshots.failure, '📅 Court calendar - this slot is full!');
-        }
-        return false;
+    const playerList = players.length > 0
+      ? players.map((p, i) => `${i + 1}. ${p.player_name}`).join('\n')
+      : 'Nobody yet';
 
-      } else {
-        console.error('❌ Booking failed:', result.message || result.error);
-        await this.whatsapp.sendMessage(
-          `❌ Booking failed. Please book manually.\n\n` +
-          `📅 ${game.game_date} at ${game.game_time}\n` +
-          `🏢 ${game.court_name || 'Court'}\n\n` +
-          `Reason: ${result.message || result.error || 'Unknown error'}`
-        );
-        if (result.screenshots?.failure) {
-          await this.whatsapp.sendImage(result.screenshots.failure, '❌ Screenshot at point of failure');
-        } else if (result.screenshots?.confirmation) {
-          await this.whatsapp.sendImage(result.screenshots.confirmation, '⚠️ Screenshot - please check if booking completed');
-        }
-        return false;
-      }
+    let text = `🏀 ${game.game_date} at ${game.game_time}\n` +
+      `🏢 ${game.court_name || 'Court TBD'}\n` +
+      `👥 ${game.player_count}/${this.groupOf(game).playerThreshold} players\n` +
+      `📋 Status: ${statusLabels[game.status] || game.status}\n` +
+      (game.confirmation_number ? `🔖 Confirmation: ${game.confirmation_number}\n` : '') + '\n' +
+      `Players:\n${playerList}`;
 
-    } catch (error) {
-      console.error('❌ Booking error:', error);
-      if (this.booker) {
-        try { await this.booker.close(); } catch (e) {}
-        this.booker = null;
+    if (waitlist.length > 0) {
+      text += `\n\nWaitlist:\n${waitlist.map((w, i) => `${i + 1}. ${w.player_name}`).join('\n')}`;
+    }
+    return text;
+  }
+
+  async handleAvailCommand(messageText, group) {
+    console.log('\n🗓️  Avail command received!');
+
+    const parsed = this.parser.parseAvailCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid avail format. Use:\n\n` +
+        `!avail 2/24`
+      );
+      return;
+    }
+
+    const { date } = parsed;
+    await this.whatsapp.sendMessage(group.id, `🗓️ Reading every slot for ${date}...`);
+
+    try {
+      const gameDate = this.parser.formatDateForBooking(date);
+      const result = await this.runBrowserJob(
+        group,
+        `avail:${group.portalUrl} ${group.defaultCourt || ''} ${gameDate.toDateString()}`,
+        `the availability for ${date}`,
+        booker => booker.getDayAvailability(gameDate, group.defaultCourt)
+      );
+      if (!result) return;
+
+      if (result.status !== 'ok') {
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ Could not read availability for ${date}.\n\nError: ${result.error || 'Unknown error'}`
+        );
+      } else if (result.slots.length === 0) {
+        await this.whatsapp.sendMessage(group.id, `⚠️ No slots found on the scheduler for ${date}. Please check manually.`);
+      } else {
+        await this.whatsapp.sendMessage(group.id, this.formatAvailabilityGrid(date, result));
+      }
+
+      if (result.screenshot) {
+        await this.whatsapp.sendImage(group.id, result.screenshot, `📅 Scheduler for ${date}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Avail command error:', error);
+      await this.whatsapp.sendMessage(
+        group.id,
+        `❌ Error reading availability. Please check manually.\n\nError: ${error.message}`
+      );
+    }
+  }
+
+  formatAvailabilityGrid(date, result) {
+    const rows = result.slots.map(slot => {
+      const state = slot.full ? '❌ full' : `✅ ${slot.openCourts.join(', ')}`;
+      return `${slot.label.padStart(8)}  ${state}`;
+    });
+    const openCount = result.slots.filter(slot => !slot.full).length;
+
+    return `🗓️ AVAILABILITY — ${date}\n` +
+      `🏢 ${result.court}\n\n` +
+      `${rows.join('\n')}\n\n` +
+      `✅ ${openCount} open · ❌ ${result.slots.length - openCount} full`;
+  }
+
+  async handleHistoryCommand(messageText, group) {
+    console.log('\n📜 History command received!');
+
+    const parsed = this.parser.parseHistoryCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid history format. Use:\n\n` +
+        `!history 2/24`
+      );
+      return;
+    }
+
+    const { date } = parsed;
+    const day = this.parser.formatDateForBooking(date, new Date(), { past: true });
+    const attempts = this.db.getBookingAttempts(group.id, this.toIsoDate(day));
+    if (attempts.length === 0) {
+      await this.whatsapp.sendMessage(group.id, `📜 No booking attempts for ${date}.`);
+      return;
+    }
+
+    const entries = attempts.map(attempt => this.formatBookingAttempt(attempt));
+    await this.whatsapp.sendMessage(group.id, `📜 BOOKING HISTORY — ${date}\n\n${entries.join('\n\n')}`);
+  }
+
+  formatBookingAttempt(attempt) {
+    const icons = {
+      booked: '✅', partial: '⚠️', 'already-ours': '✅', unavailable: '❌',
+      unsupported: '⚠️', unverified: '⚠️', duplicate: '⏳', failed: '❌', running: '⏳', 'dry-run': '🧪', 'dry-run-failed': '🧪'
+    };
+    // SQLite's CURRENT_TIMESTAMP is UTC without a zone marker
+    const startedAt = this.clock.formatDateTime(new Date(`${attempt.started_at.replace(' ', 'T')}Z`));
+    const lines = [
+      `#${attempt.id} ${attempt.game_time} — ${icons[attempt.outcome] || '❔'} ${attempt.outcome}`,
+      `   🕐 ${startedAt} · ${attempt.source}` + (attempt.triggered_by ? ` by ${attempt.triggered_by}` : ''),
+      attempt.court_name && `   🏢 ${attempt.court_name}`,
+      attempt.message && `   💬 ${attempt.message}`,
+      attempt.artifacts_dir && `   📁 ${attempt.artifacts_dir}`,
+      // Screenshots in the run's folder are listed by file name alone
+      ...attempt.screenshots.map(path =>
+        `   📸 ${attempt.artifacts_dir && dirname(path) === attempt.artifacts_dir ? basename(path) : path}`
+      )
+    ];
+    return lines.filter(Boolean).join('\n');
+  }
+
+  async handleCancelCommand(messageText, group) {
+    console.log('\n🗑️  Cancel command received!');
+
+    const parsed = this.parser.parseCancelCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid cancel format. Use:\n\n` +
+        `!cancel 2/24 9-11p`
+      );
+      return;
+    }
+
+    const { date, time } = parsed;
+    const timeRange = this.parser.parseTimeRange(time);
+    if (!timeRange) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
+      return;
+    }
+
+    await this.whatsapp.sendMessage(group.id, `🔄 Cancelling the reservation for ${date} at ${time}...`);
+
+    try {
+      const gameDate = this.parser.formatDateForBooking(date);
+      const game = this.findGame(group, date, time);
+      const courtName = game?.court_name || group.defaultCourt;
+      const result = await this.runBrowserJob(
+        group,
+        `cancel:${this.slotKey(group, gameDate, timeRange, game?.court_name)}`,
+        `cancelling ${date} at ${time}`,
+        booker => booker.cancelReservation(gameDate, timeRange, courtName)
+      );
+      if (!result) return;
+
+      if (result.success) {
+        if (game) {
+          this.db.markCancelled(game.id);
+          this.db.clearAlert(game.id);
+        }
+        await this.whatsapp.sendMessage(
+          group.id,
+          `🗑️ RESERVATION CANCELLED\n\n` +
+          `📅 ${date}\n` +
+          `🕐 ${time}\n\n` +
+          `${this.formatSlotList(result.slots)}\n\n` +
+          `The court has been released.`
+        );
+      } else if (result.partial) {
+        // Still holding part of the court, so the game stays booked
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ PARTIALLY CANCELLED\n\n` +
+          `📅 ${date}\n` +
+          `🕐 ${time}\n\n` +
+          `${this.formatSlotList(result.slots)}\n\n` +
+          `❌ Please cancel the rest manually.`
+        );
+      } else if (result.notFound) {
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ No reservation found for ${date} at ${time}.\n\nNothing was cancelled.`
+        );
+      } else {
+        await this.whatsapp.sendMessage(
+          group.id,
+          `❌ Could not cancel the reservation for ${date} at ${time}. Please cancel manually.\n\n` +
+          `Reason: ${result.message || result.error || 'Unknown error'}`
+        );
+      }
+
+      if (result.screenshot) {
+        await this.whatsapp.sendImage(group.id, result.screenshot, `🗑️ Cancellation for ${date} at ${time}`);
+      }
+
+    } catch (error) {
+      console.error('❌ Cancel command error:', error);
+      await this.whatsapp.sendMessage(
+        group.id,
+        `❌ Error cancelling the reservation. Please cancel manually.\n\nError: ${error.message}`
+      );
+    }
+  }
+
+  async handleBookCommand(messageText, sender, group) {
+    console.log('\n📅 Book command received!');
+
+    const parsed = this.parser.parseBookCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid book format. Use:\n\n` +
+        `!book 2/24 9-11p\n` +
+        `!book --dry-run 2/24 9-11p`
+      );
+      return;
+    }
+
+    const { date, time } = parsed;
+    if (!this.parser.parseTimeRange(time)) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
+      return;
+    }
+
+    const dryRun = parsed.dryRun || this.dryRun;
+    const game = this.findGame(group, date, time) || this.adHocGame(group, date, time);
+
+    // Confirm before the first await so a "BOOK IT" can't pick the same game
+    if (!dryRun && game.id && game.status === 'pending') this.db.confirmBooking(game.id);
+    await this.whatsapp.sendMessage(
+      group.id,
+      dryRun ? `🧪 Dry run for ${date} at ${time}: nothing will be booked...` : '🔄 Processing your booking request...'
+    );
+
+    const result = await this.performBooking(game, { triggeredBy: sender, source: '!book', dryRun });
+    // A dry run never confirmed the game, so it has nothing to reopen
+    if (!dryRun) this.recordBookingResult(game.id, result);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Snipes: book the moment the reservation window opens
+  // ─────────────────────────────────────────────────────────────
+
+  async handleSnipeCommand(messageText, sender, group) {
+    console.log('\n🎯 Snipe command received!');
+
+    const parsed = this.parser.parseSnipeCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid snipe format. Use:\n\n` +
+        `!snipe 3/3 9-11p`
+      );
+      return;
+    }
+
+    const { date, time } = parsed;
+    if (!this.parser.parseTimeRange(time)) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
+      return;
+    }
+
+    const gameDate = this.parser.formatDateForBooking(date);
+    const releaseAt = this.getReleaseTime(gameDate);
+    const game = this.findGame(group, date, time);
+
+    const snipe = this.db.addSnipe({
+      gameId: game?.id || null,
+      gameDate: date,
+      gameTime: time,
+      courtName: game?.court_name || null,
+      targetDate: this.toIsoDate(gameDate),
+      releaseAt: releaseAt.toISOString(),
+      requestedBy: sender,
+      groupId: group.id
+    });
+    this.scheduleSnipe(snipe);
+
+    if (releaseAt <= new Date()) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `🎯 The booking window for ${date} is already open, booking ${time} now.`
+      );
+    } else {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `🎯 SNIPE SCHEDULED (#${snipe.id})\n\n` +
+        `📅 ${date}\n` +
+        `🕐 ${time}\n` +
+        `🏢 ${snipe.court_name || 'Default court'}\n\n` +
+        `I'll book the moment the window opens: ${this.clock.formatDateTime(releaseAt)}.`
+      );
+    }
+  }
+
+  /**
+   * When the facility opens bookings for a date: BOOKING_WINDOW_DAYS
+   * before it, at BOOKING_RELEASE_TIME (HH:MM) on the facility's clock
+   */
+  getReleaseTime(gameDate) {
+    const [hours, minutes] = this.bookingReleaseTime.split(':').map(n => parseInt(n));
+    const releaseDay = new Date(gameDate.getFullYear(), gameDate.getMonth(), gameDate.getDate() - this.bookingWindowDays);
+    return this.clock.toInstant(releaseDay, hours, minutes || 0);
+  }
+
+  // Pending games nobody booked within a week (of facility days) are dropped
+  clearOldPendingGames() {
+    const today = this.clock.today();
+    const weekAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7);
+    const cutoff = this.clock.toInstant(weekAgo).toISOString().replace('T', ' ').substring(0, 19);
+    this.db.clearOldPendingGames(cutoff);
+  }
+
+  // Games saved before target_date existed get the date their announcement meant
+  backfillGameDates() {
+    for (const game of this.db.getGamesWithoutTargetDate()) {
+      const announcedAt = new Date(`${game.created_at.replace(' ', 'T')}Z`);
+      const gameDate = this.parser.formatDateForBooking(game.game_date, announcedAt);
+      if (gameDate) this.db.setGameTargetDate(game.id, this.toIsoDate(gameDate));
+    }
+  }
+
+  toIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  fromIsoDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(n => parseInt(n));
+    return new Date(year, month - 1, day);
+  }
+
+  // Re-arm persisted snipes after a restart
+  loadSnipes() {
+    const today = this.clock.today();
+
+    for (const snipe of this.db.getOpenSnipes()) {
+      // A snipe cut off mid-run may already have clicked confirm, so running
+      // it again could book the court twice; someone has to look instead
+      if (snipe.status === 'running') {
+        this.reportInterruptedSnipe(snipe);
+        continue;
+      }
+      if (this.fromIsoDate(snipe.target_date) < today) {
+        this.db.updateSnipeStatus(snipe.id, 'expired', 'Game date passed before the snipe ran');
+        continue;
+      }
+      this.scheduleSnipe(snipe);
+    }
+  }
+
+  async reportInterruptedSnipe(snipe) {
+    console.log(`⚠️ Snipe #${snipe.id} was interrupted by a restart; not re-running it`);
+    this.db.updateSnipeStatus(snipe.id, 'interrupted', 'Restarted mid-run; check My Reservations');
+
+    // Snipes load before WhatsApp has finished connecting
+    await this.whatsapp.waitUntilOpen();
+    await this.whatsapp.sendMessage(
+      this.groupOf(snipe).id,
+      `⚠️ SNIPE INTERRUPTED\n\n` +
+      `📅 ${snipe.game_date} at ${snipe.game_time}\n\n` +
+      `Snipe #${snipe.id} was running when I restarted, so the court may or may not be booked. ` +
+      `Please check My Reservations before booking it again.`
+    );
+  }
+
+  // Start the browser job a little early so login is done when the window opens
+  scheduleSnipe(snipe) {
+    const releaseAt = new Date(snipe.release_at);
+    const startAt = new Date(releaseAt.getTime() - this.snipeLeadMinutes * 60 * 1000);
+
+    console.log(`🎯 Snipe #${snipe.id} for ${snipe.game_date} ${snipe.game_time} armed for ${this.clock.formatDateTime(releaseAt)}`);
+    this.scheduler.at(`snipe:${snipe.id}`, startAt, () => this.runSnipe(snipe));
+  }
+
+  async runSnipe(snipe) {
+    console.log(`\n🎯 Running snipe #${snipe.id}...`);
+    this.db.updateSnipeStatus(snipe.id, 'running');
+
+    const game = (snipe.game_id && this.db.getGameById(snipe.game_id)) ||
+      this.adHocGame(this.groupOf(snipe), snipe.game_date, snipe.game_time, snipe.court_name);
+
+    if (game.id && game.status === 'pending') this.db.confirmBooking(game.id);
+    const result = await this.performBooking(game, {
+      gameDate: this.fromIsoDate(snipe.target_date),
+      notBefore: new Date(snipe.release_at),
+      triggeredBy: snipe.requested_by,
+      source: `snipe #${snipe.id}`
+    });
+    this.recordBookingResult(game.id, result);
+
+    const status = result.dryRun ? 'dry-run' : result.success ? 'booked' : result.partial ? 'partial' : 'failed';
+    this.db.updateSnipeStatus(snipe.id, status, result.message || result.error || null);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Watches: re-check a full slot until it opens up
+  // ─────────────────────────────────────────────────────────────
+
+  async handleWatchCommand(messageText, sender, group) {
+    console.log('\n👀 Watch command received!');
+
+    const parsed = this.parser.parseWatchCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Invalid watch format. Use:\n\n` +
+        `!watch 2/24 9-11p\n` +
+        `!watch 2/24 9-11p auto  (admins: book as soon as it opens)`
+      );
+      return;
+    }
+
+    const { date, time, autoBook } = parsed;
+    const timeRange = this.parser.parseTimeRange(time);
+    if (!timeRange) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Could not parse time: ${time}\n\nUse format like: 9-11p`);
+      return;
+    }
+    if (autoBook && !this.isAdmin(sender, group)) {
+      await this.whatsapp.sendMessage(group.id, '⚠️ Only admins can set up a watch that auto-books.');
+      return;
+    }
+
+    // Watch until the configured expiry, but never past the game's start
+    const gameDate = this.parser.formatDateForBooking(date);
+    const [startHour, startMin] = timeRange.startTime.split(':').map(n => parseInt(n));
+    const gameStart = this.clock.toInstant(gameDate, startHour, startMin);
+    const expiresAt = new Date(Math.min(
+      Date.now() + this.watchExpiryHours * 60 * 60 * 1000,
+      gameStart.getTime()
+    ));
+
+    // Only a slot seen full can open up; one that's open now is just bookable
+    let current;
+    try {
+      current = await this.runBrowserJob(
+        group,
+        `check:${this.slotKey(group, gameDate, timeRange)}`,
+        `!watch ${date} ${time}`,
+        booker => booker.checkAvailability(gameDate, timeRange, group.defaultCourt),
+        { quiet: true }
+      );
+    } catch (error) {
+      current = { status: 'error', error: error.message };
+    }
+    if (current.status === 'available') {
+      await this.whatsapp.sendMessage(
+        group.id,
+        `✅ ${date} at ${time} is already open, so there's nothing to watch. Book it while it lasts!`
+      );
+      return;
+    }
+    if (current.status === 'unsupported') {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Can't watch ${date} at ${time}: ${current.message}.`);
+      return;
+    }
+
+    const watch = this.db.addWatch({
+      gameDate: date,
+      gameTime: time,
+      targetDate: this.toIsoDate(gameDate),
+      intervalMinutes: this.watchIntervalMinutes,
+      expiresAt: expiresAt.toISOString(),
+      autoBook,
+      createdBy: sender,
+      groupId: group.id
+    });
+    if (current.status !== 'error') {
+      this.db.updateWatchCheck(watch.id, current.status);
+    }
+    this.scheduleWatch(watch, new Date(Date.now() + watch.interval_minutes * 60 * 1000));
+
+    await this.whatsapp.sendMessage(
+      group.id,
+      `👀 WATCHING (#${watch.id})\n\n` +
+      `📅 ${date}\n` +
+      `🕐 ${time}\n\n` +
+      `Checking every ${watch.interval_minutes} min until ${this.clock.formatDateTime(expiresAt)}.` +
+      (autoBook ? `\n🤖 I'll book it automatically when it opens.` : '')
+    );
+  }
+
+  async handleListWatchesCommand(group) {
+    const watches = this.db.getActiveWatches().filter(watch => watch.group_id === group.id);
+    if (watches.length === 0) {
+      await this.whatsapp.sendMessage(group.id, '👀 No active watches.');
+      return;
+    }
+
+    const lines = watches.map(watch => {
+      const lastCheck = watch.last_status
+        ? `last: ${watch.last_status} at ${this.clock.formatTime(new Date(watch.last_checked_at + 'Z'))}`
+        : 'not checked yet';
+      return `#${watch.id} ${watch.game_date} ${watch.game_time} — ${lastCheck}${watch.auto_book ? ' 🤖 auto-book' : ''}`;
+    });
+
+    await this.whatsapp.sendMessage(
+      group.id,
+      `👀 ACTIVE WATCHES\n\n${lines.join('\n')}\n\n` +
+      `Remove one with "!unwatch <number>".`
+    );
+  }
+
+  async handleUnwatchCommand(messageText, sender, group) {
+    const parsed = this.parser.parseUnwatchCommand(messageText);
+    if (!parsed) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ Invalid unwatch format. Use:\n\n!unwatch 3`);
+      return;
+    }
+
+    const watch = this.db.getWatch(parsed.watchId);
+    if (!watch || watch.status !== 'active' || watch.group_id !== group.id) {
+      await this.whatsapp.sendMessage(group.id, `⚠️ No active watch #${parsed.watchId}.`);
+      return;
+    }
+    if (watch.created_by !== sender && !this.isAdmin(sender, group)) {
+      await this.whatsapp.sendMessage(group.id, '⚠️ Only the person who set up a watch or an admin can remove it.');
+      return;
+    }
+
+    this.scheduler.cancel(`watch:${watch.id}`);
+    this.db.updateWatchStatus(watch.id, 'removed');
+    await this.whatsapp.sendMessage(group.id, `🗑️ Stopped watching ${watch.game_date} ${watch.game_time} (#${watch.id}).`);
+  }
+
+  // Re-arm persisted watches after a restart
+  loadWatches() {
+    for (const watch of this.db.getActiveWatches()) {
+      this.scheduleWatch(watch, new Date());
+    }
+  }
+
+  scheduleWatch(watch, runAt) {
+    this.scheduler.at(`watch:${watch.id}`, runAt, () => this.runWatchCheck(watch.id));
+  }
+
+  async runWatchCheck(watchId) {
+    const watch = this.db.getWatch(watchId);
+    if (!watch || watch.status !== 'active') return;
+    const group = this.groupOf(watch);
+
+    if (new Date() >= new Date(watch.expires_at)) {
+      console.log(`⌛ Watch #${watch.id} expired`);
+      this.db.updateWatchStatus(watch.id, 'expired');
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⌛ Stopped watching ${watch.game_date} ${watch.game_time} (#${watch.id}): it never opened up.`
+      );
+      return;
+    }
+
+    const gameDate = this.fromIsoDate(watch.target_date);
+    const timeRange = this.parser.parseTimeRange(watch.game_time);
+
+    let result;
+    try {
+      result = await this.runBrowserJob(
+        group,
+        `check:${this.slotKey(group, gameDate, timeRange)}`,
+        `watch #${watch.id}`,
+        booker => booker.checkAvailability(gameDate, timeRange, group.defaultCourt),
+        { quiet: true }
+      );
+    } catch (error) {
+      result = { status: 'error', error: error.message };
+    }
+    console.log(`👀 Watch #${watch.id} ${watch.game_date} ${watch.game_time}: ${result.status}`);
+
+    // A start time the facility never offers will never open up
+    if (result.status === 'unsupported') {
+      this.db.updateWatchStatus(watch.id, 'failed');
+      await this.whatsapp.sendMessage(
+        group.id,
+        `⚠️ Stopped watching ${watch.game_date} ${watch.game_time} (#${watch.id}): ${result.message}.`
+      );
+      return;
+    }
+
+    // Never seen full (the first check failed): there's no opening to report
+    if (result.status === 'available' && !watch.last_status) {
+      this.db.updateWatchStatus(watch.id, 'removed');
+      await this.whatsapp.sendMessage(
+        group.id,
+        `✅ ${watch.game_date} ${watch.game_time} is open, but I never saw it full, so I stopped watching (#${watch.id}).`
+      );
+      return;
+    }
+
+    const justOpened = result.status === 'available' && watch.last_status !== 'available';
+    if (result.status !== 'error') {
+      this.db.updateWatchCheck(watch.id, result.status);
+    }
+
+    if (!justOpened) {
+      const nextCheck = new Date(Date.now() + watch.interval_minutes * 60 * 1000);
+      this.scheduleWatch(watch, nextCheck);
+      return;
+    }
+
+    await this.handleWatchOpened(watch, gameDate, result);
+  }
+
+  async handleWatchOpened(watch, gameDate, result) {
+    const group = this.groupOf(watch);
+    const game = this.findGame(group, watch.game_date, watch.game_time);
+
+    if (!watch.auto_book) {
+      this.db.updateWatchStatus(watch.id, 'triggered');
+      const howToBook = game?.status === 'pending'
+        ? `Reply "BOOK IT ${watch.game_date} ${watch.game_time}" to grab it!`
+        : `Reply "!snipe ${watch.game_date} ${watch.game_time}" to grab it!`;
+      await this.whatsapp.sendMessage(
+        group.id,
+        `🚨 SLOT JUST OPENED! 🏀\n\n` +
+        `📅 ${watch.game_date}\n` +
+        `🕐 ${watch.game_time}\n\n` +
+        howToBook
+      );
+      if (result.screenshot) {
+        await this.whatsapp.sendImage(group.id, result.screenshot, `📅 ${watch.game_date} at ${watch.game_time} is open`);
+      }
+      return;
+    }
+
+    await this.whatsapp.sendMessage(
+      group.id,
+      `🚨 ${watch.game_date} ${watch.game_time} just opened up! Booking it now (watch #${watch.id})...`
+    );
+
+    const target = game || this.adHocGame(group, watch.game_date, watch.game_time);
+    if (target.id && target.status === 'pending') this.db.confirmBooking(target.id);
+
+    const bookingResult = await this.performBooking(target, {
+      gameDate,
+      triggeredBy: watch.created_by,
+      source: `watch #${watch.id}`
+    });
+    this.recordBookingResult(target.id, bookingResult);
+    const status = bookingResult.dryRun ? 'dry-run'
+      : bookingResult.success || bookingResult.partial ? 'booked' : 'failed';
+    this.db.updateWatchStatus(watch.id, status);
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Browser jobs: serialized through the queue, one booker that is
+  // optionally kept warm between requests
+  // ─────────────────────────────────────────────────────────────
+
+  /**
+   * Run browser work for a group through the queue, telling the group when
+   * it has to wait. Returns null when an identical job is already queued or
+   * running. Quiet jobs (background checks) post nothing and share the
+   * result of an identical job instead.
+   */
+  async runBrowserJob(group, key, label, work, { quiet = false } = {}) {
+    const { promise, position, duplicate } = this.queue.enqueue(key, label, async () => {
+      const booker = await this.acquireBooker(group.portalUrl);
+      try {
+        const result = await work(booker);
+        await this.releaseBooker();
+        return result;
+      } catch (error) {
+        await this.closeBooker();
+        throw error;
       }
+    });
+
+    if (quiet) {
+      return await promise;
+    }
+    if (duplicate) {
+      await this.whatsapp.sendMessage(group.id, `⏳ Already working on ${label}, hang tight.`);
+      return null;
+    }
+    if (position > 1) {
+      await this.whatsapp.sendMessage(group.id, `⏳ Browser is busy. Queued ${label}, position ${position}.`);
+    }
+
+    return await promise;
+  }
+
+  async waitUntil(time) {
+    const delay = time ? time.getTime() - Date.now() : 0;
+    if (delay > 0) {
+      console.log(`⏱️  Waiting ${Math.round(delay / 1000)}s until ${this.clock.formatTime(time)}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Groups can book different facilities and courts, so both are part of the slot
+  slotKey(group, gameDate, timeRange, courtName = null) {
+    const court = courtName || group.defaultCourt || '';
+    return `${group.portalUrl} ${court} ${gameDate.toDateString()} ${timeRange.startTime}-${timeRange.endTime}`;
+  }
+
+  // A warm browser is only reused for the facility it was opened for
+  async acquireBooker(portalUrl) {
+    clearTimeout(this.bookerIdleTimer);
+
+    if (this.booker && (!this.booker.isOpen() || this.booker.portalUrl !== portalUrl)) {
+      await this.closeBooker();
+    }
+    if (!this.booker) {
+      this.booker = new CourtReserveBooker({ portalUrl });
+      await this.booker.initialize();
+    } else {
+      console.log('♻️  Reusing warm browser');
+    }
+    return this.booker;
+  }
+
+  async releaseBooker() {
+    if (!this.keepBrowserWarm) {
+      await this.closeBooker();
+      return;
+    }
+
+    clearTimeout(this.bookerIdleTimer);
+    this.bookerIdleTimer = setTimeout(() => {
+      console.log(`💤 Browser idle for ${this.browserIdleMinutes} minutes, closing`);
+      this.closeBooker();
+    }, this.browserIdleMinutes * 60 * 1000);
+  }
+
+  async closeBooker() {
+    clearTimeout(this.bookerIdleTimer);
+    if (this.booker) {
+      try { await this.booker.close(); } catch (e) {}
+      this.booker = null;
+    }
+  }
+
+  /**
+   * Book a game's court, post the outcome to the group and record the
+   * attempt for !history.
+   * Options:
+   *   gameDate    - the Date to book, when already resolved (snipes)
+   *   notBefore   - hold the browser job, logged in, until this Date
+   *   triggeredBy - number of whoever asked for the booking
+   *   source      - what started it: "book-it", "alternative", "snipe #3", ...
+   *   dryRun      - stop before confirming (defaults to DRY_RUN)
+   */
+  async performBooking(game, {
+    gameDate = null, notBefore = null, triggeredBy = null, source = 'book-it', dryRun = this.dryRun
+  } = {}) {
+    const group = this.groupOf(game);
+    const resolvedDate = gameDate ||
+      (game.target_date ? this.fromIsoDate(game.target_date) : this.parser.formatDateForBooking(game.game_date));
+
+    const attemptId = this.db.startBookingAttempt({
+      gameId: game.id,
+      groupId: group.id,
+      triggeredBy,
+      source,
+      gameDate: game.game_date,
+      gameTime: game.game_time,
+      courtName: game.court_name || group.defaultCourt || this.courts.defaultCourt,
+      targetDate: resolvedDate ? this.toIsoDate(resolvedDate) : null
+    });
+
+    const result = await this.bookAndAnnounce(game, group, resolvedDate, notBefore, dryRun);
+
+    this.db.finishBookingAttempt(attemptId, {
+      outcome: this.bookingOutcome(result),
+      message: result.message || result.error ||
+        (result.confirmationNumbers?.length ? `Confirmation ${result.confirmationNumbers.join(', ')}` : null),
+      screenshots: this.resultScreenshots(result),
+      artifactsDir: result.artifactsDir || null
+    });
+    return result;
+  }
+
+  async bookAndAnnounce(game, group, gameDate, notBefore, dryRun) {
+    console.log(`\n🎯 Starting ${dryRun ? 'dry-run ' : ''}booking process...`);
+
+    try {
+      const timeRange = this.parser.parseTimeRange(game.game_time);
+
+      if (!timeRange) {
+        console.error('❌ Could not parse time range');
+        await this.whatsapp.sendMessage(group.id, '❌ Could not parse game time. Please book manually.');
+        return { success: false, message: `Could not parse game time "${game.game_time}"` };
+      }
+
+      console.log(`📅 Booking for: ${gameDate.toLocaleDateString()}`);
+      console.log(`🕐 Time: ${timeRange.startDisplay} - ${timeRange.endDisplay}`);
+
+      // Keyed by slot, so the same court time is never booked twice at once
+      const result = await this.runBrowserJob(
+        group,
+        `${dryRun ? 'dry-run' : 'book'}:${this.slotKey(group, gameDate, timeRange, game.court_name)}`,
+        `booking ${game.game_date} at ${game.game_time}`,
+        async booker => {
+          // Re-read at run time: another queued job may have booked it meanwhile
+          const current = game.id ? this.db.getGameById(game.id) : null;
+          if (current && ['booked', 'partial'].includes(current.status)) {
+            return { success: false, alreadyOurs: true };
+          }
+          await this.waitUntil(notBefore);
+          return booker.bookCourt(gameDate, timeRange, game.court_name || group.defaultCourt, { dryRun });
+        }
+      );
+      if (!result) return { success: false, duplicate: true };
+      if (result.alreadyOurs) {
+        await this.whatsapp.sendMessage(group.id, `✅ ${game.game_date} at ${game.game_time} is already booked.`);
+        return result;
+      }
+
+      if (result.dryRun) {
+        console.log(`🧪 Dry run ${result.ready ? 'ready' : 'stopped'}: ${result.message || result.error}`);
+        await this.whatsapp.sendMessage(
+          group.id,
+          `🧪 DRY RUN — nothing was booked\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n` +
+          `🏢 ${game.court_name || group.defaultCourt || 'Court'}\n\n` +
+          (result.slots?.length ? `${this.formatSlotList(result.slots)}\n\n` : '') +
+          (result.ready
+            ? `✅ A real booking would have confirmed every slot.`
+            : `❌ A real booking would have failed: ${result.message || result.error || 'Unknown error'}`)
+        );
+        if (result.screenshots?.preview) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.preview, '🧪 Reservation form, left unconfirmed');
+        }
+        if (result.screenshots?.failure) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.failure, '❌ Screenshot at point of failure');
+        }
+        return result;
+      }
+
+      if (result.success) {
+        console.log('✅ Booking successful!');
+        await this.whatsapp.sendMessage(
+          group.id,
+          `✅ COURT BOOKED! 🏀\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n` +
+          `🏢 ${game.court_name || 'Court'}\n` +
+          this.formatConfirmationNumbers(result) + '\n' +
+          `${this.formatSlotList(result.slots)}\n\n` +
+          `See you on the court!`
+        );
+        if (result.screenshots?.confirmation) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.confirmation, '📋 Booking confirmation');
+        }
+        if (result.screenshots?.reservations) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.reservations, '📋 My Reservations - your slot is listed!');
+        }
+        return result;
+
+      } else if (result.partial) {
+        console.log('⚠️ Booking only partially succeeded');
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ PARTIALLY BOOKED 😬\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n` +
+          `🏢 ${game.court_name || 'Court'}\n` +
+          this.formatConfirmationNumbers(result) + '\n' +
+          `${this.formatSlotList(result.slots)}\n\n` +
+          `❌ Please sort out the missing time manually.`
+        );
+        if (result.screenshots?.confirmation) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.confirmation, '📋 Booking confirmation');
+        }
+        if (result.screenshots?.failure) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.failure, '❌ Screenshot of the slot that failed');
+        }
+        return result;
+
+      } else if (result.unverified) {
+        console.log(`⚠️ Booking not verified: ${result.message}`);
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ BOOKING NOT VERIFIED\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n` +
+          `🏢 ${game.court_name || 'Court'}\n\n` +
+          `${this.formatSlotList(result.slots)}\n\n` +
+          `${result.message}. Check My Reservations before booking again.`
+        );
+        if (result.screenshots?.confirmation) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.confirmation, '⚠️ Screen after clicking confirm');
+        }
+        if (result.screenshots?.reservations) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.reservations, '📋 My Reservations');
+        }
+        return result;
+
+      } else if (result.alreadyBooked) {
+        console.log('❌ Slot is already fully booked!');
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ COURT UNAVAILABLE! 😬\n\n` +
+          `The ${game.game_time} slot on ${game.game_date} is already fully booked.`
+        );
+        if (result.screenshots?.failure) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.failure, '📅 Court calendar - this slot is full!');
+        }
+        await this.suggestAlternatives(game, gameDate, timeRange);
+        return result;
+
+      } else if (result.unsupportedStart) {
+        console.log(`❌ ${result.message}`);
+        await this.whatsapp.sendMessage(
+          group.id,
+          `⚠️ CAN'T BOOK THAT TIME\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n\n` +
+          `${result.message}. Pick a time that fits one day's one-hour slots.`
+        );
+        return result;
+
+      } else {
+        console.error('❌ Booking failed:', result.message || result.error);
+        await this.whatsapp.sendMessage(
+          group.id,
+          `❌ Booking failed. Please book manually.\n\n` +
+          `📅 ${game.game_date} at ${game.game_time}\n` +
+          `🏢 ${game.court_name || 'Court'}\n\n` +
+          `Reason: ${result.message || result.error || 'Unknown error'}`
+        );
+        if (result.screenshots?.failure) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.failure, '❌ Screenshot at point of failure');
+        } else if (result.screenshots?.confirmation) {
+          await this.whatsapp.sendImage(group.id, result.screenshots.confirmation, '⚠️ Screenshot - please check if booking completed');
+        }
+        return result;
+      }
+
+    } catch (error) {
+      console.error('❌ Booking error:', error);
       await this.whatsapp.sendMessage(
+        group.id,
         `❌ Unexpected error during booking. Please book manually.\n\nError: ${error.message}`
       );
-      return false;
+      return { success: false, error: error.message };
     }
   }
 
+  bookingOutcome(result) {
+    if (result.dryRun) return result.ready ? 'dry-run' : 'dry-run-failed';
+    if (result.success) return 'booked';
+    if (result.partial) return 'partial';
+    if (result.alreadyOurs) return 'already-ours';
+    if (result.alreadyBooked) return 'unavailable';
+    if (result.unverified) return 'unverified';
+    if (result.unsupportedStart) return 'unsupported';
+    if (result.duplicate) return 'duplicate';
+    return 'failed';
+  }
+
+  // Every screenshot a booking result mentions, overall and per slot
+  resultScreenshots(result) {
+    const paths = [
+      ...Object.values(result.screenshots || {}),
+      ...(result.slots || []).map(slot => slot.screenshot)
+    ];
+    return [...new Set(paths.filter(Boolean))];
+  }
+
+  // "🔖 Confirmation: 48213\n", or nothing when the list showed no number
+  formatConfirmationNumbers(result) {
+    const numbers = result.confirmationNumbers || [];
+    return numbers.length > 0 ? `🔖 Confirmation: ${numbers.join(', ')}\n` : '';
+  }
+
+  formatSlotList(slots = []) {
+    const icons = {
+      booked: '✅', ready: '🧪', unavailable: '❌', 'not-found': '❓', unconfirmed: '⚠️', unverified: '⚠️',
+      failed: '❌', skipped: '⏭️', cancelled: '🗑️'
+    };
+    const words = {
+      booked: 'booked', ready: 'ready to book', unavailable: 'taken', 'not-found': 'not found',
+      unconfirmed: 'not confirmed', unverified: 'not verified', failed: 'failed', skipped: 'not tried', cancelled: 'released'
+    };
+    return slots.map(slot => `${icons[slot.status]} ${slot.label} ${words[slot.status]}`).join('\n');
+  }
+
   async shutdown() {
     console.log('\n👋 Shutting down...');
-    if (this.booker) await this.booker.close();
+    this.scheduler.stop();
+    await this.closeBooker();
     if (this.whatsapp) await this.whatsapp.disconnect();
     if (this.db) this.db.close();
     process.exit(0);
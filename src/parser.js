@@ -1,12 +1,28 @@
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import FacilityClock from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+                'july', 'august', 'september', 'october', 'november', 'december'];
+
+const WEEKDAY_PATTERN = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?';
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// Shared pieces for dates ("2/24", "2/24/27", "Feb 24", "tue", "tomorrow")
+// and time ranges ("9-11p") in commands
+const DATE_PATTERN = '(?:\\d{1,2}\\/\\d{1,2}(?:\\/\\d{4}|\\/\\d{2})?' +
+  `|(?:${MONTH_PATTERN})\\.?\\s+\\d{1,2}(?:,?\\s+\\d{4})?` +
+  `|today|tonight|tomorrow|tmrw|(?:${WEEKDAY_PATTERN})\\b)`;
+const TIME_RANGE_PATTERN = '\\d{1,2}(?::\\d{2})?\\s*-\\s*\\d{1,2}(?::\\d{2})?\\s*[ap]m?';
+
 class MessageParser {
-  constructor() {
-    this.gameAnnouncementPattern = /🚨\s*(\d{1,2}\/\d{1,2})\s+(\w+)\s+(\d{1,2}(?::\d{2})?\s*-\s*\d{1,2}(?::\d{2})?\s*[ap]m?)\s*\[([^\]]+)\]/i;
+  constructor(clock = new FacilityClock()) {
+    this.clock = clock;
+    this.gameAnnouncementPattern = /🚨\s*(\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\s+(\w+)\s+(\d{1,2}(?::\d{2})?\s*-\s*\d{1,2}(?::\d{2})?\s*[ap]m?)\s*\[([^\]]+)\]/i;
   }
 
   isGameAnnouncement(messageText) {
@@ -19,7 +35,7 @@ class MessageParser {
     if (!match) {
       const lines = messageText.split('\n');
       const firstLine = lines[0];
-      const dateMatch = firstLine.match(/(\d{1,2}\/\d{1,2})/);
+      const dateMatch = firstLine.match(/(\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)/);
       const timeMatch = firstLine.match(/(\d{1,2}(?::\d{2})?\s*-\s*\d{1,2}(?::\d{2})?\s*[ap]m?)/i);
       const courtMatch = firstLine.match(/\[([^\]]+)\]/);
       
@@ -78,32 +94,131 @@ class MessageParser {
     };
   }
 
+  /**
+   * A whole-message "I'm in": "in", "+1", "I'm in", "count me in".
+   * Only the entire message counts, so "great game 🏀" or a "yes" to some
+   * other question never changes the roster.
+   */
   isCommitment(messageText) {
-    const text = messageText.toLowerCase().trim();
-    const commitmentPatterns = [
-      /\bi'?m in\b/i, /\bcount me in\b/i, /\bi'?ll be there\b/i,
-      /\bdown\b/i, /^\+1$/, /^yes$/i, /^yup$/i, /^yeah$/i,
-      /👍/, /🏀/, /✋,/
-    ];
-    return commitmentPatterns.some(pattern => pattern.test(text));
+    return /^(?:in|\+1|i'?m in|i am in|count me in)$/.test(this._normalizeReply(messageText));
   }
 
+  /**
+   * A whole-message "I'm out": "out", "-1", "I'm out", "count me out"
+   */
   isCancellation(messageText) {
-    const text = messageText.toLowerCase().trim();
-    const cancellationPatterns = [
-      /\bi'?m out\b/i, /\bcan'?t make it\b/i, /\bcan'?t come\b/i,
-      /\bsorry/i, /\bnot coming\b/i, /^-1$/, /^no$/i, /^nope$/i
-    ];
-    return cancellationPatterns.some(pattern => pattern.test(text));
+    return /^(?:out|-1|i'?m out|i am out|count me out)$/.test(this._normalizeReply(messageText));
+  }
+
+  // "I’m in!" → "i'm in"
+  _normalizeReply(messageText) {
+    return messageText.toLowerCase().replace(/[‘’]/g, "'").trim().replace(/[\s!.]+$/, '');
+  }
+
+  /**
+   * Whether one name is the other with more words after it, e.g. "Keeshan"
+   * and "Keeshan R" (list names are often shorter than WhatsApp names)
+   */
+  isNameVariant(nameA, nameB) {
+    const [shorter, longer] = [nameA, nameB]
+      .map(name => name.trim().toLowerCase().replace(/\s+/g, ' '))
+      .sort((a, b) => a.length - b.length);
+    return shorter.length > 0 && longer.startsWith(`${shorter} `);
+  }
+
+  /**
+   * Resolve a date to the calendar date it refers to, counting from the
+   * facility's today:
+   *   "2/24", "Feb 24"       → the next 2/24, today included
+   *   "2/24/27", "Feb 24 2027" → that exact date
+   *   "tue", "Tuesday"       → the next Tuesday, today included
+   *   "today", "tomorrow"
+   * With past set, "2/24" and "tue" look back instead: the latest one that
+   * isn't after today, for looking up what already happened.
+   * Returns null for anything else, including dates like "2/30".
+   */
+  formatDateForBooking(dateString, now = new Date(), { past = false } = {}) {
+    const text = dateString.trim().toLowerCase();
+    const today = this.clock.today(now);
+
+    if (text === 'today' || text === 'tonight') return today;
+    if (text === 'tomorrow' || text === 'tmrw') {
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    }
+
+    const weekday = this._weekdayIndex(text);
+    if (weekday !== -1) {
+      const daysAhead = past ? -((today.getDay() - weekday + 7) % 7) : (weekday - today.getDay() + 7) % 7;
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysAhead);
+    }
+
+    const slashMatch = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+    if (slashMatch) {
+      const [, month, day, year] = slashMatch;
+      return this._resolveDate(parseInt(month), parseInt(day), year ? parseInt(year) : null, today, past);
+    }
+
+    const monthMatch = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?$/);
+    if (monthMatch) {
+      const month = MONTHS.findIndex(name => name.startsWith(monthMatch[1].substring(0, 3))) + 1;
+      if (month === 0) return null;
+      return this._resolveDate(month, parseInt(monthMatch[2]), monthMatch[3] ? parseInt(monthMatch[3]) : null, today, past);
+    }
+
+    return null;
+  }
+
+  /**
+   * Canonical "M/D" for any date formatDateForBooking understands, with
+   * the year added ("2/24/28") only when "M/D" alone would mean another one.
+   * past is passed on to formatDateForBooking.
+   */
+  normalizeDate(dateString, now = new Date(), { past = false } = {}) {
+    const date = this.formatDateForBooking(dateString, now, { past });
+    if (!date) return null;
+
+    const shortDate = this.formatShortDate(date);
+    const impliedDate = this.formatDateForBooking(shortDate, now, { past });
+    return impliedDate.getTime() === date.getTime()
+      ? shortDate
+      : `${shortDate}/${String(date.getFullYear()).slice(-2)}`;
+  }
+
+  /**
+   * Check an announcement's day ("Tue") against its date. Returns the
+   * real weekday name when they disagree, or null when they match or the
+   * day isn't a weekday.
+   */
+  dayOfWeekMismatch(dateString, dayOfWeek) {
+    const claimed = dayOfWeek ? this._weekdayIndex(dayOfWeek.toLowerCase()) : -1;
+    const date = this.formatDateForBooking(dateString);
+    if (claimed === -1 || !date || date.getDay() === claimed) return null;
+
+    const actual = WEEKDAYS[date.getDay()];
+    return actual.charAt(0).toUpperCase() + actual.slice(1);
   }
 
-  formatDateForBooking(dateString) {
-    const [month, day] = dateString.split('/').map(n => parseInt(n));
-    const currentYear = new Date().getFullYear();
-    const now = new Date();
-    const gameDate = new Date(currentYear, month - 1, day);
-    if (gameDate < now) gameDate.setFullYear(currentYear + 1);
-    return gameDate;
+  /**
+   * Month/day in an explicit year, or the next occurrence from today
+   * (today included) when no year is given; the latest one up to today
+   * with past set. Two-digit years are 20xx.
+   */
+  _resolveDate(month, day, year, today, past = false) {
+    const fullYear = year === null ? today.getFullYear() : year < 100 ? 2000 + year : year;
+    const date = new Date(fullYear, month - 1, day);
+    if (date.getMonth() !== month - 1) return null;
+
+    if (year === null && !past && date < today) date.setFullYear(fullYear + 1);
+    if (year === null && past && date > today) date.setFullYear(fullYear - 1);
+    return date;
+  }
+
+  /**
+   * Weekday number (0 = Sunday) for "tue", "tues", "tuesday", etc., or -1
+   */
+  _weekdayIndex(text) {
+    if (text.length < 3) return -1;
+    return WEEKDAYS.findIndex(name => name.startsWith(text));
   }
 
   /**
@@ -138,7 +253,7 @@ class MessageParser {
 
     // If start would be after end (e.g. "11-1p" → 23:00 > 13:00),
     // the start hour must be in the opposite period
-    if (startHour24 >= endHour24) {
+    if (startHour24 * 60 + parseInt(startMin) >= endHour24 * 60 + parseInt(endMin)) {
       const oppositePeriod = period === 'p' ? 'a' : 'p';
       startHour24 = this._to24h(startHour, oppositePeriod);
     }
@@ -173,25 +288,208 @@ class MessageParser {
     return `${hour12}:${min} ${amPm}`;
   }
 
+  /**
+   * Build a time range string this parser reads back from minutes since
+   * midnight, e.g.
+   *   (1200, 1320) → "8-10p",  (660, 780) → "11-1p",  (1320, 1440) → "10-12a",
+   *   (1290, 1410) → "9:30-11:30p"
+   */
+  formatTimeRange(startMinutes, endMinutes) {
+    const to12h = (minutes) => {
+      const hour12 = (Math.floor(minutes / 60) % 12) || 12;
+      return minutes % 60 === 0 ? `${hour12}` : `${hour12}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+    const period = (Math.floor(endMinutes / 60) % 24) >= 12 ? 'p' : 'a';
+    return `${to12h(startMinutes)}-${to12h(endMinutes)}${period}`;
+  }
+
+  /**
+   * Date to the "M/D" form used in announcements
+   */
+  formatShortDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  }
+
   // ─────────────────────────────────────────
   // !check command methods
   // ─────────────────────────────────────────
 
-  isCheckCommand(messageText) {
-    return messageText.trim().toLowerCase().startsWith('!check');
+  parseCheckCommand(messageText) {
+    return this._parseSlotCommand('check', messageText);
   }
 
-  parseCheckCommand(messageText) {
+  // ─────────────────────────────────────────
+  // !cancel command methods
+  // ─────────────────────────────────────────
+
+  parseCancelCommand(messageText) {
+    return this._parseSlotCommand('cancel', messageText);
+  }
+
+  // ─────────────────────────────────────────
+  // !book command methods
+  // ─────────────────────────────────────────
+
+  /**
+   * Parse "!book 2/24 9-11p" or "!book --dry-run 2/24 9-11p" into
+   * { date, time, dryRun }
+   */
+  parseBookCommand(messageText) {
+    const dryRunFlag = /\s--dry-?run\b/i;
+    const parsed = this._parseSlotCommand('book', messageText.replace(dryRunFlag, ''));
+    if (!parsed) return null;
+    return { ...parsed, dryRun: dryRunFlag.test(messageText) };
+  }
+
+  // ─────────────────────────────────────────
+  // !snipe command methods
+  // ─────────────────────────────────────────
+
+  parseSnipeCommand(messageText) {
+    return this._parseSlotCommand('snipe', messageText);
+  }
+
+  // ─────────────────────────────────────────
+  // !watch / !watches / !unwatch command methods
+  // ─────────────────────────────────────────
+
+  /**
+   * Parse "!watch 2/24 9-11p" or "!watch 2/24 9-11p auto" into { date, time, autoBook }
+   */
+  parseWatchCommand(messageText) {
+    const parsed = this._parseSlotCommand('watch', messageText);
+    if (!parsed) return null;
+    return { ...parsed, autoBook: /\bauto\b/i.test(messageText) };
+  }
+
+  parseUnwatchCommand(messageText) {
+    const match = messageText.trim().match(/^!unwatch\s+#?(\d+)/i);
+    return match ? { watchId: parseInt(match[1]) } : null;
+  }
+
+  // ─────────────────────────────────────────
+  // !avail command methods
+  // ─────────────────────────────────────────
+
+  parseAvailCommand(messageText) {
+    const match = messageText.trim().match(new RegExp(`^!avail\\s+(${DATE_PATTERN})`, 'i'));
+    const date = match && this.normalizeDate(match[1]);
+    return date ? { date } : null;
+  }
+
+  // ─────────────────────────────────────────
+  // !status command methods
+  // ─────────────────────────────────────────
+
+  /**
+   * Parse "!status" or "!status 2/24" into { date } (date is null for all games).
+   * Returns null for a date that doesn't exist ("2/30").
+   */
+  parseStatusCommand(messageText) {
+    const match = messageText.trim().match(new RegExp(`^!status(?:\\s+(${DATE_PATTERN}))?`, 'i'));
+    if (!match) return null;
+    if (!match[1]) return { date: null };
+
+    const date = this.normalizeDate(match[1]);
+    return date ? { date } : null;
+  }
+
+  // ─────────────────────────────────────────
+  // !history command methods
+  // ─────────────────────────────────────────
+
+  // History is about what already happened, so "10/18" means the latest 10/18
+  parseHistoryCommand(messageText) {
+    const match = messageText.trim().match(new RegExp(`^!history\\s+(${DATE_PATTERN})`, 'i'));
+    const date = match && this.normalizeDate(match[1], new Date(), { past: true });
+    return date ? { date } : null;
+  }
+
+  // ─────────────────────────────────────────
+  // !admin command methods
+  // ─────────────────────────────────────────
+
+  /**
+   * Parse "!admin add +1 555 123 4567", "!admin remove @15551234567" or
+   * "!admin list" into { action, number } with the number as bare digits
+   */
+  parseAdminCommand(messageText) {
+    const match = messageText.trim().match(/^!admin\s+(add|remove|list)\b\s*(.*)$/i);
+    if (!match) return null;
+
+    const action = match[1].toLowerCase();
+    const number = match[2].replace(/\D/g, '') || null;
+    if (action !== 'list' && !number) return null;
+
+    return { action, number };
+  }
+
+  /**
+   * Parse "!<command> 2/24 9-11p" (or "tue 9-11p", etc.) into { date, time }
+   * with the date normalized to "M/D"
+   */
+  _parseSlotCommand(command, messageText) {
     const text = messageText.trim();
     const match = text.match(
-      /^!check\s+(\d{1,2}\/\d{1,2})\s+(\d{1,2}(?::\d{2})?\s*-\s*\d{1,2}(?::\d{2})?\s*[ap]m?)/i
+      new RegExp(`^!${command}\\s+(${DATE_PATTERN})\\s+(${TIME_RANGE_PATTERN})`, 'i')
     );
     if (!match) return null;
+
+    const date = this.normalizeDate(match[1]);
+    if (!date) return null;
     return {
-      date: match[1],
+      date,
       time: match[2]
     };
   }
+
+  // ─────────────────────────────────────────
+  // Booking target methods
+  // ─────────────────────────────────────────
+
+  /**
+   * Parse what a "BOOK IT" message points at:
+   *   "book it 2/24"       → { date: '2/24', time: null }
+   *   "book it tue 9-11p"  → { date: '2/24', time: '9-11p' }
+   *   "book it 2"          → { index: 2 }  (number from the pending list)
+   * Returns null when no target is given.
+   */
+  parseBookingTarget(messageText) {
+    const text = messageText.trim();
+
+    const slotMatch = text.match(
+      new RegExp(`\\bbook it\\s+(${DATE_PATTERN})(?:\\s+(${TIME_RANGE_PATTERN}))?`, 'i')
+    );
+    if (slotMatch) {
+      // An impossible date ("2/30") is kept as typed so it matches no game
+      return { date: this.normalizeDate(slotMatch[1]) || slotMatch[1], time: slotMatch[2] || null };
+    }
+
+    const indexMatch = text.match(/\bbook it\s+#?(\d+)\s*$/i);
+    if (indexMatch) {
+      return { index: parseInt(indexMatch[1]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse "book 2" — picking one of the suggested alternatives
+   */
+  parseAlternativeChoice(messageText) {
+    const match = messageText.trim().match(/^book\s+#?(\d+)$/i);
+    return match ? { choice: parseInt(match[1]) } : null;
+  }
+
+  /**
+   * Compare two time range strings by the times they resolve to ("9-11p" = "9:00-11:00pm")
+   */
+  isSameTimeRange(timeA, timeB) {
+    const rangeA = this.parseTimeRange(timeA);
+    const rangeB = this.parseTimeRange(timeB);
+    if (!rangeA || !rangeB) return false;
+    return rangeA.startTime === rangeB.startTime && rangeA.endTime === rangeB.endTime;
+  }
 }
 
 export default MessageParser;
\ No newline at end of file
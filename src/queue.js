@@ -0,0 +1,76 @@
+/**
+ * Runs CourtReserve browser jobs one at a time.
+ *
+ * Only one browser session can safely drive the portal, so every check,
+ * booking and cancellation goes through here. A job whose key matches one
+ * that is already queued or running is not run again; the caller gets the
+ * existing job's promise instead.
+ */
+class BrowserJobQueue {
+  constructor() {
+    this.jobs = [];
+    this.running = null;
+  }
+
+  /**
+   * Queue a job.
+   * Returns { promise, position, duplicate } where position 1 means the job
+   * is running now and 2 means one job is ahead of it.
+   */
+  enqueue(key, label, run) {
+    const existing = this._all().find(job => job.key === key);
+    if (existing) {
+      console.log(`⏳ Job "${label}" is already queued, sharing its result`);
+      return { promise: existing.promise, position: this._positionOf(existing), duplicate: true };
+    }
+
+    const job = { key, label, run };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.jobs.push(job);
+    const position = this._positionOf(job);
+    console.log(`📥 Queued "${label}" at position ${position}`);
+
+    this._next();
+    return { promise: job.promise, position, duplicate: false };
+  }
+
+  isBusy() {
+    return this.running !== null;
+  }
+
+  size() {
+    return this._all().length;
+  }
+
+  async _next() {
+    if (this.running || this.jobs.length === 0) return;
+
+    const job = this.jobs.shift();
+    this.running = job;
+    console.log(`▶️  Running job "${job.label}"`);
+
+    try {
+      job.resolve(await job.run());
+    } catch (error) {
+      console.error(`❌ Job "${job.label}" failed:`, error.message);
+      job.reject(error);
+    } finally {
+      this.running = null;
+      this._next();
+    }
+  }
+
+  _all() {
+    return this.running ? [this.running, ...this.jobs] : [...this.jobs];
+  }
+
+  _positionOf(job) {
+    return this._all().indexOf(job) + 1;
+  }
+}
+
+export default BrowserJobQueue;
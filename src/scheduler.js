@@ -0,0 +1,61 @@
+// setTimeout overflows past ~24.8 days, so longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Runs tasks at a given time. Tasks are identified by an ID so they can be
+ * rescheduled or cancelled; scheduling an existing ID replaces it.
+ *
+ * Timers live in memory only. Anything that must survive a restart is
+ * persisted by the caller and scheduled again on startup.
+ */
+class Scheduler {
+  constructor() {
+    this.timers = new Map();
+  }
+
+  /**
+   * Run a task at runAt (a Date). Times in the past run right away.
+   */
+  at(id, runAt, task) {
+    this.cancel(id);
+
+    const arm = () => {
+      const delay = runAt.getTime() - Date.now();
+      if (delay > MAX_TIMEOUT_MS) {
+        this.timers.set(id, setTimeout(arm, MAX_TIMEOUT_MS));
+        return;
+      }
+
+      this.timers.set(id, setTimeout(async () => {
+        this.timers.delete(id);
+        try {
+          await task();
+        } catch (error) {
+          console.error(`❌ Scheduled task ${id} failed:`, error);
+        }
+      }, Math.max(0, delay)));
+    };
+
+    arm();
+  }
+
+  cancel(id) {
+    if (this.timers.has(id)) {
+      clearTimeout(this.timers.get(id));
+      this.timers.delete(id);
+    }
+  }
+
+  has(id) {
+    return this.timers.has(id);
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+export default Scheduler;
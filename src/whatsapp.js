@@ -13,12 +13,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 class WhatsAppListener {
-  constructor(onMessage) {
+  constructor(onMessage, groupIds = [process.env.WHATSAPP_GROUP_ID].filter(id => id)) {
     this.sock = null;
     this.onMessage = onMessage;
-    this.groupId = process.env.WHATSAPP_GROUP_ID;
+    this.groupIds = groupIds;
     this.logger = pino({ level: 'warn' });
     this.messageStore = new Map(); // Store messages for retry decryption
+    this.connected = false;
+    this.openWaiters = []; // Resolvers waiting for the connection to open
   }
 
   /**
@@ -53,6 +55,7 @@ class WhatsAppListener {
       }
 
       if (connection === 'close') {
+        this.connected = false;
         const shouldReconnect = (lastDisconnect?.error instanceof Boom)
           ? lastDisconnect.error.output.statusCode !== DisconnectReason.loggedOut
           : true;
@@ -63,8 +66,10 @@ class WhatsAppListener {
           await this.connect();
         }
       } else if (connection === 'open') {
+        this.connected = true;
+        this.openWaiters.splice(0).forEach(resolve => resolve());
         console.log('✅ WhatsApp connected successfully!');
-        console.log(`👀 Monitoring group: ${this.groupId}\n`);
+        console.log(`👀 Monitoring ${this.groupIds.length === 1 ? 'group' : 'groups'}: ${this.groupIds.join(', ')}\n`);
       }
     });
 
@@ -117,9 +122,9 @@ class WhatsAppListener {
       // Ignore messages from self
       if (msg.key.fromMe) return;
 
-      // Only process messages from the configured group
-      const isFromGroup = msg.key.remoteJid === this.groupId;
-      if (!isFromGroup && this.groupId) return;
+      // Only process messages from the configured groups
+      const isFromGroup = this.groupIds.includes(msg.key.remoteJid);
+      if (!isFromGroup && this.groupIds.length > 0) return;
 
       // Extract message text
       const messageText = msg.message?.conversation || 
@@ -162,16 +167,24 @@ class WhatsAppListener {
   }
 
   /**
-   * Send a message to the group
+   * Resolve once the connection is open (right away if it already is)
    */
-  async sendMessage(text) {
-    if (!this.sock || !this.groupId) {
+  waitUntilOpen() {
+    if (this.connected) return Promise.resolve();
+    return new Promise(resolve => this.openWaiters.push(resolve));
+  }
+
+  /**
+   * Send a message to a group, optionally mentioning participants by JID
+   */
+  async sendMessage(groupId, text, { mentions = [] } = {}) {
+    if (!this.sock || !groupId) {
       console.error('Cannot send message: Not connected or no group ID');
       return;
     }
 
     try {
-      await this.sock.sendMessage(this.groupId, { text });
+      await this.sock.sendMessage(groupId, { text, mentions });
       console.log(`✅ Sent message to group: ${text.substring(0, 50)}...`);
     } catch (error) {
       console.error('Error sending message:', error);
@@ -181,17 +194,17 @@ class WhatsAppListener {
   /**
    * Reply to a specific message
    */
-  async replyToMessage(messageId, text) {
-    if (!this.sock || !this.groupId) {
+  async replyToMessage(groupId, messageId, text) {
+    if (!this.sock || !groupId) {
       console.error('Cannot send reply: Not connected or no group ID');
       return;
     }
 
     try {
-      await this.sock.sendMessage(this.groupId, { 
+      await this.sock.sendMessage(groupId, { 
         text 
       }, {
-        quoted: { key: { id: messageId, remoteJid: this.groupId } }
+        quoted: { key: { id: messageId, remoteJid: groupId } }
       });
       console.log(`✅ Sent reply: ${text.substring(0, 50)}...`);
     } catch (error) {
@@ -202,11 +215,11 @@ class WhatsAppListener {
   /**
    * Get group metadata
    */
-  async getGroupInfo() {
-    if (!this.sock || !this.groupId) return null;
+  async getGroupInfo(groupId) {
+    if (!this.sock || !groupId) return null;
 
     try {
-      const metadata = await this.sock.groupMetadata(this.groupId);
+      const metadata = await this.sock.groupMetadata(groupId);
       return metadata;
     } catch (error) {
       console.error('Error getting group info:', error);
@@ -224,8 +237,8 @@ class WhatsAppListener {
     }
   }
   
-  async sendImage(imagePath, caption = '') {
-      if (!this.sock || !this.groupId) {
+  async sendImage(groupId, imagePath, caption = '') {
+      if (!this.sock || !groupId) {
         console.error('Cannot send image: Not connected or no group ID');
         return;
       }
@@ -234,7 +247,7 @@ class WhatsAppListener {
         const fs = await import('fs');
         const imageBuffer = fs.readFileSync(imagePath);
         
-        await this.sock.sendMessage(this.groupId, {
+        await this.sock.sendMessage(groupId, {
           image: imageBuffer,
           caption: caption
         });
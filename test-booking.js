@@ -16,7 +16,11 @@ async function test() {
     endDisplay: "11:00 PM"
   };
   
-  await booker.bookCourt(testDate, testTime, "Fmt Procourt");
+  // Stops before the final confirmation unless DRY_RUN=false
+  const result = await booker.bookCourt(testDate, testTime, "Fmt Procourt", {
+    dryRun: process.env.DRY_RUN !== 'false'
+  });
+  console.log(result);
   await booker.close();
 }
 